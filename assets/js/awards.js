@@ -0,0 +1,323 @@
+/**
+ * AWARDS.JS
+ * Awards Explorer - Decade/Year Grouping, Issuer and Domain Filters
+ * and a Count Summary over the Static Awards List
+ * Dr. M. R. Ravi, IAS Portfolio
+ */
+
+(function () {
+    'use strict';
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            count: 'Showing {shown} of {total} awards',
+            empty: 'No awards match these filters.',
+            decade: '{decade}s',
+            undated: 'Undated',
+            groupCount: '{count} awards',
+            groupCountOne: '{count} award'
+        },
+        kn: {
+            count: '{total} ಪ್ರಶಸ್ತಿಗಳಲ್ಲಿ {shown} ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            empty: 'ಈ ಆಯ್ಕೆಗಳಿಗೆ ಹೊಂದುವ ಪ್ರಶಸ್ತಿಗಳಿಲ್ಲ.',
+            decade: '{decade}ರ ದಶಕ',
+            undated: 'ದಿನಾಂಕವಿಲ್ಲ',
+            groupCount: '{count} ಪ್ರಶಸ್ತಿಗಳು',
+            groupCountOne: '{count} ಪ್ರಶಸ್ತಿ'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Shared number and year formatting; format.js loads on every page before this
+    const { formatNumber, formatYear, parseYear } = window.SiteFormat;
+
+    // ========================================
+    // Awards Explorer
+    // ========================================
+
+    const FILTER_KEYS = ['group', 'issuer', 'domain'];
+    const GROUPINGS = ['decade', 'year'];
+    const DEFAULT_GROUPING = 'decade';
+
+    const instances = new WeakMap();
+
+    /**
+     * Groups and filters an .awards-list that is already on the page, so
+     * without JavaScript the list reads as it always has. Items describe
+     * themselves with data attributes:
+     *
+     *   data-issuer="central"                Issuer level, matching an <option> value
+     *   data-domain="education e-governance"  Space-separated domain keys, likewise
+     *
+     * and the year is read from .award-year. The list is regrouped under
+     * <h2> headings per decade or per year, newest first, keeping the page's
+     * order within a group; awards without a year come last, under "Undated".
+     *
+     * The controls form (data-awards-controls="<list id>") ships hidden and
+     * is shown once this is wired up. Its group, issuer and domain selects set
+     * the state, which is mirrored in the URL hash. The summary lists how many
+     * of the shown awards come from each issuer level, labelled with the issuer
+     * options' text.
+     *
+     * Public API (via AwardsExplorer.for(list)):
+     *   setState({ group, issuer, domain })
+     *   getState()
+     */
+    class AwardsExplorer {
+        constructor(list, form) {
+            if (instances.has(list)) return instances.get(list);
+            instances.set(list, this);
+
+            this.list = list;
+            this.form = form;
+            this.fields = {
+                group: form.elements.group,
+                issuer: form.elements.issuer,
+                domain: form.elements.domain
+            };
+            this.count = form.querySelector('.awards-count');
+            this.summary = form.querySelector('.awards-summary');
+
+            this.entries = Array.from(list.querySelectorAll('.award-item')).map((item, index) => {
+                const badge = item.querySelector('.award-year');
+                const year = parseYear((badge || item).textContent);
+
+                // A badge that is just the year is rewritten in the page's digits, like the headings
+                if (badge && year && badge.textContent.trim() === String(year)) {
+                    badge.textContent = formatYear(year);
+                }
+
+                return {
+                    item,
+                    index,
+                    year,
+                    issuer: item.dataset.issuer || '',
+                    domains: (item.dataset.domain || '').split(/\s+/).filter(Boolean)
+                };
+            });
+
+            this.groups = new Map();
+
+            this.init();
+        }
+
+        init() {
+            this.empty = document.createElement('p');
+            this.empty.className = 'awards-empty';
+            this.empty.hidden = true;
+            this.empty.textContent = t('empty');
+            this.list.after(this.empty);
+
+            // Options no award uses would only ever show an empty list
+            ['issuer', 'domain'].forEach(key => {
+                const select = this.fields[key];
+                if (!select) return;
+
+                Array.from(select.options).forEach(option => {
+                    option.disabled = option.value !== '' && !this.entries.some(entry => AwardsExplorer.matches(entry, { [key]: option.value }));
+                });
+            });
+
+            this.setState(AwardsExplorer.parse(location.hash) || {});
+            this.form.hidden = false;
+
+            // Claim this entry, so coming back to it resets the filters
+            history.replaceState(Object.assign({}, history.state, { awardsExplorer: true }), '');
+
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+
+            this.form.addEventListener('reset', (e) => {
+                e.preventDefault();
+                this.setState({});
+                this.update();
+            });
+
+            this.form.addEventListener('change', () => this.update());
+
+            window.addEventListener('popstate', () => {
+                const state = AwardsExplorer.parse(location.hash);
+
+                // Someone else's entry, such as the skip link's #main-content
+                if (!state && !(history.state && history.state.awardsExplorer)) return;
+
+                this.setState(state || {});
+            });
+        }
+
+        getState() {
+            const value = key => (this.fields[key] ? this.fields[key].value : '');
+            return {
+                group: GROUPINGS.includes(value('group')) ? value('group') : DEFAULT_GROUPING,
+                issuer: value('issuer'),
+                domain: value('domain')
+            };
+        }
+
+        setState(state) {
+            FILTER_KEYS.forEach(key => {
+                const select = this.fields[key];
+                if (!select) return;
+
+                const fallback = key === 'group' ? DEFAULT_GROUPING : '';
+                const option = Array.from(select.options).find(opt => opt.value === (state[key] || fallback));
+                select.value = option && !option.disabled ? option.value : fallback;
+            });
+
+            this.apply();
+        }
+
+        update() {
+            this.apply();
+            history.replaceState(Object.assign({}, history.state, { awardsExplorer: true }), '', AwardsExplorer.url(this.getState()));
+        }
+
+        apply() {
+            const state = this.getState();
+            let shown = 0;
+
+            this.regroup(state.group);
+
+            this.entries.forEach(entry => {
+                const matches = AwardsExplorer.matches(entry, state);
+                entry.item.hidden = !matches;
+                if (matches) shown++;
+            });
+
+            // A group with nothing left to show goes too, heading and all
+            this.groups.forEach(group => {
+                const count = group.entries.filter(entry => !entry.item.hidden).length;
+                group.element.hidden = count === 0;
+                group.count.textContent = t(count === 1 ? 'groupCountOne' : 'groupCount', { count: formatNumber(count) });
+            });
+
+            this.list.dataset.group = state.group;
+            this.empty.hidden = shown > 0;
+            if (this.count) this.count.textContent = t('count', { shown: formatNumber(shown), total: formatNumber(this.entries.length) });
+            this.renderSummary();
+        }
+
+        // Moves the items into one section per decade or year, newest first
+        regroup(grouping) {
+            if (this.grouping === grouping) return;
+            this.grouping = grouping;
+
+            const keyOf = entry => {
+                if (!entry.year) return '';
+                return grouping === 'year' ? String(entry.year) : String(Math.floor(entry.year / 10) * 10);
+            };
+
+            const keys = Array.from(new Set(this.entries.map(keyOf)))
+                .sort((a, b) => (Number(b) || 0) - (Number(a) || 0));
+
+            this.groups = new Map();
+
+            keys.forEach(key => {
+                const element = document.createElement('section');
+                element.className = 'awards-group';
+                element.setAttribute('aria-labelledby', `${this.list.id}-${grouping}-${key || 'undated'}`);
+
+                const heading = document.createElement('h2');
+                heading.className = 'awards-group-title';
+                heading.id = element.getAttribute('aria-labelledby');
+                heading.textContent = !key ? t('undated') : grouping === 'decade' ? t('decade', { decade: formatYear(key) }) : formatYear(key);
+
+                const count = document.createElement('span');
+                count.className = 'awards-group-count';
+                heading.append(' ', count);
+
+                element.appendChild(heading);
+                this.groups.set(key, { element, count, entries: [] });
+            });
+
+            this.entries.forEach(entry => {
+                const group = this.groups.get(keyOf(entry));
+                group.entries.push(entry);
+                group.element.appendChild(entry.item);
+            });
+
+            this.list.replaceChildren(...Array.from(this.groups.values()).map(group => group.element));
+        }
+
+        // One line per issuer level among the shown awards, labelled like its option
+        renderSummary() {
+            if (!this.summary) return;
+
+            const select = this.fields.issuer;
+            const options = select ? Array.from(select.options).filter(option => option.value) : [];
+
+            this.summary.replaceChildren(...options.map(option => {
+                const count = this.entries.filter(entry => !entry.item.hidden && entry.issuer === option.value).length;
+                if (!count) return null;
+
+                const li = document.createElement('li');
+                const value = document.createElement('strong');
+                value.textContent = formatNumber(count);
+                li.append(value, ' ', option.textContent);
+                return li;
+            }).filter(Boolean));
+        }
+
+        static matches(entry, state) {
+            return (!state.issuer || entry.issuer === state.issuer) &&
+                (!state.domain || entry.domains.includes(state.domain));
+        }
+
+        // Returns null for hashes that aren't explorer state (e.g. #main-content)
+        static parse(hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            if (!FILTER_KEYS.some(key => params.has(key))) return null;
+
+            return {
+                group: params.get('group') || '',
+                issuer: params.get('issuer') || '',
+                domain: params.get('domain') || ''
+            };
+        }
+
+        static url(state) {
+            const params = new URLSearchParams();
+            if (state.group && state.group !== DEFAULT_GROUPING) params.set('group', state.group);
+            if (state.issuer) params.set('issuer', state.issuer);
+            if (state.domain) params.set('domain', state.domain);
+
+            const hash = params.toString();
+            return location.pathname + location.search + (hash ? `#${hash}` : '');
+        }
+    }
+
+    // ========================================
+    // Initialize Awards
+    // ========================================
+
+    function initAwards() {
+        document.querySelectorAll('.awards-list[id]').forEach(list => {
+            const form = document.querySelector(`[data-awards-controls="${list.id}"]`);
+            if (form && list.querySelector('.award-item')) new AwardsExplorer(list, form);
+        });
+    }
+
+    // The explorer attached to an .awards-list, if any
+    AwardsExplorer.for = (list) => instances.get(list) || null;
+
+    window.AwardsExplorer = AwardsExplorer;
+
+    // Run on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initAwards);
+    } else {
+        initAwards();
+    }
+
+})();
@@ -0,0 +1,691 @@
+/**
+ * BOOKS.JS
+ * Books Catalog - Rendering from Book Data, Language/Theme Filters, Sorting
+ * and an Accessible Detail Dialog
+ * Dr. M. R. Ravi, IAS Portfolio
+ */
+
+(function () {
+    'use strict';
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            dialog: 'Book details',
+            close: 'Close book details',
+            count: 'Showing {shown} of {total} books',
+            empty: 'No books match these filters.',
+            language: 'Language',
+            published: 'Published',
+            publisher: 'Publisher',
+            pages: 'Pages',
+            isbn: 'ISBN',
+            themes: 'Themes',
+            buy: 'Buy this book',
+            library: 'Find in a library'
+        },
+        kn: {
+            dialog: 'ಪುಸ್ತಕದ ವಿವರಗಳು',
+            close: 'ಪುಸ್ತಕದ ವಿವರಗಳನ್ನು ಮುಚ್ಚಿ',
+            count: '{total} ಪುಸ್ತಕಗಳಲ್ಲಿ {shown} ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            empty: 'ಈ ಆಯ್ಕೆಗಳಿಗೆ ಹೊಂದುವ ಪುಸ್ತಕಗಳಿಲ್ಲ.',
+            language: 'ಭಾಷೆ',
+            published: 'ಪ್ರಕಟಣೆ',
+            publisher: 'ಪ್ರಕಾಶಕರು',
+            pages: 'ಪುಟಗಳು',
+            isbn: 'ISBN',
+            themes: 'ವಿಷಯಗಳು',
+            buy: 'ಈ ಪುಸ್ತಕ ಖರೀದಿಸಿ',
+            library: 'ಗ್ರಂಥಾಲಯದಲ್ಲಿ ಹುಡುಕಿ'
+        }
+    };
+
+    // A book's language, named in the page language
+    const LANGUAGE_NAMES = {
+        en: { en: 'English', kn: 'ಇಂಗ್ಲಿಷ್' },
+        kn: { en: 'Kannada', kn: 'ಕನ್ನಡ' }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Picks the page language from a data file's { en, kn } value, falling back to English
+    function localized(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return value;
+        return value[currentLang()] || value.en || '';
+    }
+
+    // Shared number and year formatting; format.js loads on every page before this
+    const { formatNumber, formatYear } = window.SiteFormat;
+
+    function languageName(code) {
+        return localized(LANGUAGE_NAMES[code]) || code;
+    }
+
+    // The title as printed on the cover, for library searches
+    function originalTitle(book) {
+        return (book.title && book.title[book.language]) || localized(book.title);
+    }
+
+    // ========================================
+    // Book Dialog
+    // ========================================
+
+    const LIBRARY_SEARCH = 'https://search.worldcat.org/search?q=';
+
+    // The dialog's cover width, for the responsive variants
+    const DIALOG_COVER_SIZES = '(max-width: 576px) 160px, 320px';
+
+    /**
+     * Modal detail view for one book. Focus handling follows the Lightbox:
+     * focus moves to the close button on open, Tab stays inside, and Escape,
+     * the close button or a click on the backdrop return focus to where it was.
+     */
+    class BookDialog {
+        constructor() {
+            this.isOpen = false;
+            this.focusedElementBeforeOpen = null;
+
+            this.createDialog();
+            this.bindEvents();
+        }
+
+        createDialog() {
+            const dialog = document.createElement('div');
+            dialog.className = 'book-dialog';
+            dialog.id = 'book-dialog';
+            dialog.hidden = true;
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', 'book-dialog-title');
+
+            dialog.innerHTML = `
+                <div class="book-dialog-panel">
+                    <button type="button" class="book-dialog-close" aria-label="${t('close')}">
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                    <div class="book-dialog-cover">
+                        <img class="book-dialog-image" src="" alt="">
+                    </div>
+                    <div class="book-dialog-body">
+                        <p class="book-dialog-label">${t('dialog')}</p>
+                        <h2 class="book-dialog-title" id="book-dialog-title"></h2>
+                        <p class="book-dialog-original"></p>
+                        <p class="book-dialog-synopsis"></p>
+                        <dl class="book-dialog-details"></dl>
+                        <div class="book-dialog-links"></div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(dialog);
+
+            // Store references
+            this.dialog = dialog;
+            this.closeBtn = dialog.querySelector('.book-dialog-close');
+            this.image = dialog.querySelector('.book-dialog-image');
+            this.title = dialog.querySelector('.book-dialog-title');
+            this.original = dialog.querySelector('.book-dialog-original');
+            this.synopsis = dialog.querySelector('.book-dialog-synopsis');
+            this.details = dialog.querySelector('.book-dialog-details');
+            this.links = dialog.querySelector('.book-dialog-links');
+        }
+
+        bindEvents() {
+            this.closeBtn.addEventListener('click', () => this.close());
+
+            // Click on the backdrop to close
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog) {
+                    this.close();
+                }
+            });
+
+            document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+
+        handleKeydown(e) {
+            if (!this.isOpen) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        }
+
+        // The links change with each book, so look them up on every Tab
+        trapFocus(e) {
+            const focusable = this.dialog.querySelectorAll('button, a[href]');
+            const firstFocusable = focusable[0];
+            const lastFocusable = focusable[focusable.length - 1];
+
+            if (e.shiftKey) {
+                if (document.activeElement === firstFocusable || !this.dialog.contains(document.activeElement)) {
+                    e.preventDefault();
+                    lastFocusable.focus();
+                }
+            } else if (document.activeElement === lastFocusable || !this.dialog.contains(document.activeElement)) {
+                e.preventDefault();
+                firstFocusable.focus();
+            }
+        }
+
+        /**
+         * book        An entry from the book data, cover already resolved to a URL
+         * returnFocus Where focus goes on close; defaults to the focused element
+         * themes      Map of theme id to label, for the themes row
+         */
+        open(book, { returnFocus = null, themes = new Map() } = {}) {
+            this.focusedElementBeforeOpen = returnFocus || document.activeElement;
+
+            this.fill(book, themes);
+
+            this.dialog.hidden = false;
+            this.isOpen = true;
+
+            // Prevent body scroll
+            document.body.style.overflow = 'hidden';
+
+            this.closeBtn.focus();
+        }
+
+        close() {
+            if (!this.isOpen) return;
+
+            this.dialog.hidden = true;
+            this.isOpen = false;
+
+            // Restore body scroll
+            document.body.style.overflow = '';
+
+            // Restore focus
+            if (this.focusedElementBeforeOpen) {
+                this.focusedElementBeforeOpen.focus();
+            }
+        }
+
+        fill(book, themes) {
+            this.title.textContent = localized(book.title);
+
+            // The cover title, when the page shows it in another script
+            const original = book.language !== currentLang() ? originalTitle(book) : '';
+            this.original.hidden = !original || original === this.title.textContent;
+            this.original.textContent = original;
+            this.original.lang = book.language || '';
+
+            this.synopsis.textContent = localized(book.synopsis);
+            this.synopsis.hidden = !this.synopsis.textContent;
+
+            // Set srcset first so the browser doesn't fetch src only to replace it
+            if (book.image) {
+                this.image.srcset = book.image.srcset.jpeg;
+                this.image.sizes = DIALOG_COVER_SIZES;
+            } else {
+                this.image.removeAttribute('srcset');
+                this.image.removeAttribute('sizes');
+            }
+
+            if (book.cover) {
+                this.image.src = book.image ? book.image.src : book.cover;
+                this.image.hidden = false;
+            } else {
+                this.image.removeAttribute('src');
+                this.image.hidden = true;
+            }
+
+            const rows = [
+                [t('language'), book.language ? languageName(book.language) : ''],
+                [t('published'), book.year ? formatYear(book.year) : ''],
+                [t('publisher'), localized(book.publisher)],
+                [t('pages'), book.pages ? formatNumber(book.pages) : ''],
+                [t('isbn'), book.isbn || ''],
+                [t('themes'), (book.themes || []).map(id => themes.get(id)).filter(Boolean).join(', ')]
+            ].filter(([, value]) => value);
+
+            this.details.replaceChildren(...rows.flatMap(([term, value]) => {
+                const dt = document.createElement('dt');
+                dt.textContent = term;
+                const dd = document.createElement('dd');
+                dd.textContent = value;
+                return [dt, dd];
+            }));
+
+            this.links.replaceChildren(...BookDialog.links(book).map(link => {
+                const a = document.createElement('a');
+                a.className = `btn btn-sm ${link.type === 'buy' ? 'btn-primary' : 'btn-secondary'}`;
+                a.href = link.url;
+                a.textContent = localized(link.label) || t(link.type === 'buy' ? 'buy' : 'library');
+                return a;
+            }));
+        }
+
+        // The data's purchase and library links, plus a WorldCat search when it has no library link
+        static links(book) {
+            const links = (book.links || []).filter(link => link && link.url);
+
+            if (!links.some(link => link.type === 'library')) {
+                links.push({
+                    type: 'library',
+                    url: LIBRARY_SEARCH + encodeURIComponent(book.isbn || originalTitle(book))
+                });
+            }
+
+            return links;
+        }
+    }
+
+    // ========================================
+    // Book Catalog
+    // ========================================
+
+    const FILTER_KEYS = ['language', 'theme', 'sort'];
+
+    // A card's cover width, for the responsive variants
+    const COVER_SIZES = '(max-width: 768px) 50vw, (max-width: 1024px) 33vw, 300px';
+
+    const instances = new WeakMap();
+    let catalogCount = 0;
+
+    /**
+     * Renders a .books-grid from book data and owns its filters, sorting and
+     * detail dialog. The markup in the grid is the no-JavaScript fallback; it
+     * is replaced once the data loads and left alone if it doesn't.
+     *
+     * Grid attributes:
+     *   data-source          Book data URL; cover paths in it resolve against this URL
+     *   data-image-manifest  Optional responsive image manifest from tools/build-images.js
+     *
+     * The controls form (data-books-controls="<grid id>") ships hidden and is
+     * shown once the catalog has rendered. Its language and theme selects
+     * filter, its sort select orders ("" keeps the data's order, then "title",
+     * "newest" or "oldest"), and the state is mirrored in the URL hash.
+     *
+     * Data shape:
+     *   { author: { name },
+     *     themes: [{ id, label }],
+     *     books: [{ id, title, language, year, publisher, isbn, pages, cover,
+     *               themes: [theme ids], synopsis, links: [{ type, url, label }] }] }
+     * Text fields are { en, kn } objects; language is "en" or "kn"; any of
+     * year/publisher/isbn/pages/synopsis may be null. A link's type is "buy" or
+     * "library". tools/build-site.js builds the page's Book JSON-LD from the
+     * same file.
+     *
+     * Public API (via BookCatalog.for(grid)):
+     *   ready         Promise that settles once the data has rendered (or failed to)
+     *   open(target)  Open the dialog by book id, index or .book-card
+     *   setState({ language, theme, sort })
+     */
+    class BookCatalog {
+        constructor(grid, options = {}) {
+            if (instances.has(grid)) return instances.get(grid);
+            instances.set(grid, this);
+
+            this.grid = grid;
+            this.namespace = grid.id || `books-${++catalogCount}`;
+            this.form = options.form || (grid.id && document.querySelector(`[data-books-controls="${grid.id}"]`));
+            this.dialog = options.dialog || new BookDialog();
+            this.imageManifestUrl = grid.dataset.imageManifest ? new URL(grid.dataset.imageManifest, document.baseURI) : null;
+            this.imageManifest = null;
+            this.books = [];
+            this.themes = new Map();
+            this.cards = [];
+
+            this.ready = this.load(new URL(grid.dataset.source, document.baseURI));
+        }
+
+        async load(url) {
+            this.grid.setAttribute('aria-busy', 'true');
+
+            // Optional: without it the covers use the data's paths as they are
+            const imageManifest = this.loadImageManifest();
+
+            try {
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+                if (!response.ok) {
+                    throw new Error(`Book data request failed (${response.status})`);
+                }
+
+                const data = await response.json();
+                this.imageManifest = await imageManifest;
+                this.books = (data.books || [])
+                    .filter(book => book.id && book.title)
+                    .map((book, index) => {
+                        const cover = book.cover ? new URL(book.cover, url).href : '';
+                        return Object.assign({}, book, {
+                            index,
+                            cover,
+                            image: cover ? this.responsiveImage(cover) : null
+                        });
+                    });
+                (data.themes || []).forEach(theme => this.themes.set(theme.id, localized(theme.label)));
+
+                this.render();
+                this.initControls();
+            } catch (error) {
+                // The fallback cards stay, without the controls
+            }
+
+            this.grid.removeAttribute('aria-busy');
+            return this;
+        }
+
+        async loadImageManifest() {
+            if (!this.imageManifestUrl) return null;
+
+            try {
+                const response = await fetch(this.imageManifestUrl, { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) return null;
+
+                const manifest = await response.json();
+                manifest.baseUrl = new URL(manifest.base || '', this.imageManifestUrl).href;
+                return manifest;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Variants for a cover URL from the responsive image manifest:
+         * { width, height, placeholder, src, srcset: { avif, webp, jpeg } }
+         * or null when the image hasn't been processed.
+         */
+        responsiveImage(url) {
+            const manifest = this.imageManifest;
+            if (!manifest || !url.startsWith(manifest.baseUrl)) return null;
+
+            const entry = manifest.images[decodeURI(url.slice(manifest.baseUrl.length))];
+            if (!entry) return null;
+
+            const resolve = (variant) => new URL(variant.src, manifest.baseUrl).href;
+            const srcset = {};
+            Object.keys(entry.sources).forEach(format => {
+                srcset[format] = entry.sources[format].map(variant => `${resolve(variant)} ${variant.width}w`).join(', ');
+            });
+
+            const jpeg = entry.sources.jpeg;
+            const fallback = jpeg.find(variant => variant.width >= 960) || jpeg[jpeg.length - 1];
+
+            return {
+                width: entry.width,
+                height: entry.height,
+                placeholder: entry.placeholder,
+                src: resolve(fallback),
+                srcset
+            };
+        }
+
+        render() {
+            this.cards = this.books.map(book => this.renderCard(book));
+            this.grid.replaceChildren(...this.cards);
+
+            this.empty = document.createElement('p');
+            this.empty.className = 'books-empty';
+            this.empty.hidden = true;
+            this.empty.textContent = t('empty');
+            this.grid.after(this.empty);
+
+            // Delegated, so a click on the cover opens the book too
+            this.grid.addEventListener('click', (e) => {
+                const card = e.target.closest('.book-card');
+                if (card && this.grid.contains(card)) {
+                    this.open(card);
+                }
+            });
+
+            // Rendered after the browser's own jump to the hash
+            const target = location.hash && this.cards.find(card => `#${card.id}` === location.hash);
+            if (target) target.scrollIntoView({ block: 'start' });
+        }
+
+        renderCard(book) {
+            const card = document.createElement('article');
+            card.className = 'book-card';
+            card.id = `${this.namespace}-${book.id}`;
+            card.dataset.id = book.id;
+            card.dataset.language = book.language || '';
+            card.dataset.themes = (book.themes || []).join(' ');
+            if (book.year) card.dataset.year = book.year;
+
+            card.innerHTML = `
+                <div class="book-cover-wrap">
+                    <img class="book-cover" alt="" loading="lazy">
+                </div>
+                <div class="book-info">
+                    <h3 class="book-title">
+                        <button type="button" class="book-open" aria-haspopup="dialog"></button>
+                    </h3>
+                    <p class="book-meta"></p>
+                </div>
+            `;
+
+            const cover = card.querySelector('.book-cover');
+            if (book.image) {
+                // Blur-up placeholder; main.js swaps in the real sources on scroll
+                const picture = document.createElement('picture');
+                picture.className = 'responsive-image';
+
+                ['avif', 'webp'].filter(format => book.image.srcset[format]).forEach(format => {
+                    const source = document.createElement('source');
+                    source.type = `image/${format}`;
+                    source.dataset.srcset = book.image.srcset[format];
+                    source.sizes = COVER_SIZES;
+                    picture.append(source);
+                });
+
+                cover.src = book.image.placeholder;
+                cover.dataset.src = book.image.src;
+                cover.dataset.srcset = book.image.srcset.jpeg;
+                cover.sizes = COVER_SIZES;
+                cover.width = book.image.width;
+                cover.height = book.image.height;
+                cover.classList.add('is-placeholder');
+
+                cover.replaceWith(picture);
+                picture.append(cover);
+            } else if (book.cover) {
+                cover.src = book.cover;
+            } else {
+                cover.closest('.book-cover-wrap').remove();
+            }
+
+            card.querySelector('.book-open').textContent = localized(book.title);
+            card.querySelector('.book-meta').textContent = [
+                book.language ? languageName(book.language) : '',
+                book.year ? formatYear(book.year) : ''
+            ].filter(Boolean).join(' • ');
+
+            return card;
+        }
+
+        // A book from its id, index or .book-card
+        getBook(target) {
+            if (typeof target === 'number') return this.books[target] || null;
+            if (typeof target === 'string') return this.books.find(book => book.id === target) || null;
+            if (target && target.closest) {
+                const card = target.closest('.book-card');
+                return card ? this.books[this.cards.indexOf(card)] || null : null;
+            }
+            return null;
+        }
+
+        open(target) {
+            const book = this.getBook(target);
+            if (!book) return;
+
+            // A click on the cover leaves focus on the page; return it to the card's button
+            const returnFocus = this.cards[book.index].querySelector('.book-open');
+            this.dialog.open(book, { returnFocus, themes: this.themes });
+        }
+
+        initControls() {
+            if (!this.form) return;
+
+            this.fields = {
+                language: this.form.elements.language,
+                theme: this.form.elements.theme,
+                sort: this.form.elements.sort
+            };
+            this.count = this.form.querySelector('.books-count');
+
+            // Options no book uses would only ever show an empty catalog
+            ['language', 'theme'].forEach(key => {
+                const select = this.fields[key];
+                if (!select) return;
+
+                Array.from(select.options).forEach(option => {
+                    option.disabled = option.value !== '' && !this.books.some(book => BookCatalog.matches(book, { [key]: option.value }));
+                });
+
+                // Nothing to choose between, e.g. before any book has themes
+                const group = select.closest('.form-group');
+                if (group) group.hidden = Array.from(select.options).every(option => option.value === '' || option.disabled);
+            });
+
+            this.setState(BookCatalog.parse(location.hash) || {});
+            this.form.hidden = false;
+
+            // Claim this entry, so coming back to it resets the filters
+            history.replaceState(Object.assign({}, history.state, { bookCatalog: true }), '');
+
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+
+            this.form.addEventListener('reset', (e) => {
+                e.preventDefault();
+                this.setState({});
+                this.update();
+            });
+
+            this.form.addEventListener('change', () => this.update());
+
+            window.addEventListener('popstate', () => {
+                const state = BookCatalog.parse(location.hash);
+
+                // Someone else's entry, such as the skip link's #main-content
+                if (!state && !(history.state && history.state.bookCatalog)) return;
+
+                this.setState(state || {});
+            });
+        }
+
+        getState() {
+            const value = key => (this.fields && this.fields[key] ? this.fields[key].value : '');
+            return { language: value('language'), theme: value('theme'), sort: value('sort') };
+        }
+
+        setState(state) {
+            if (this.fields) {
+                FILTER_KEYS.forEach(key => {
+                    const select = this.fields[key];
+                    if (!select) return;
+
+                    const option = Array.from(select.options).find(opt => opt.value === (state[key] || ''));
+                    select.value = option && !option.disabled ? option.value : '';
+                });
+            }
+
+            this.apply(this.fields ? this.getState() : state);
+        }
+
+        update() {
+            this.apply(this.getState());
+            history.replaceState(Object.assign({}, history.state, { bookCatalog: true }), '', BookCatalog.url(this.getState()));
+        }
+
+        // Shows the matching cards in the chosen order
+        apply(state) {
+            const collator = new Intl.Collator(currentLang());
+            const byTitle = (a, b) => collator.compare(localized(a.title), localized(b.title));
+            // Undated books go last whichever way the years run
+            const byYear = direction => (a, b) => (a.year && b.year ? (a.year - b.year) * direction : (b.year || 0) - (a.year || 0)) || byTitle(a, b);
+
+            const comparators = {
+                title: byTitle,
+                newest: byYear(-1),
+                oldest: byYear(1)
+            };
+
+            const order = comparators[state.sort] ? this.books.slice().sort(comparators[state.sort]) : this.books;
+            let shown = 0;
+
+            order.forEach(book => {
+                const card = this.cards[book.index];
+                const matches = BookCatalog.matches(book, state);
+
+                card.hidden = !matches;
+                if (matches) shown++;
+                this.grid.appendChild(card);
+            });
+
+            if (this.empty) this.empty.hidden = shown > 0;
+            if (this.count) this.count.textContent = t('count', { shown: formatNumber(shown), total: formatNumber(this.books.length) });
+        }
+
+        static matches(book, state) {
+            return (!state.language || book.language === state.language) &&
+                (!state.theme || (book.themes || []).includes(state.theme));
+        }
+
+        // Returns null for hashes that aren't catalog state (e.g. #main-content)
+        static parse(hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            if (!FILTER_KEYS.some(key => params.has(key))) return null;
+
+            return {
+                language: params.get('language') || '',
+                theme: params.get('theme') || '',
+                sort: params.get('sort') || ''
+            };
+        }
+
+        static url(state) {
+            const params = new URLSearchParams();
+            FILTER_KEYS.forEach(key => {
+                if (state[key]) params.set(key, state[key]);
+            });
+
+            const hash = params.toString();
+            return location.pathname + location.search + (hash ? `#${hash}` : '');
+        }
+    }
+
+    // ========================================
+    // Initialize Books
+    // ========================================
+
+    function initBooks() {
+        let dialog = null;
+
+        document.querySelectorAll('.books-grid[data-source]').forEach(grid => {
+            // One dialog serves every catalog on the page
+            dialog = dialog || new BookDialog();
+            new BookCatalog(grid, { dialog });
+        });
+    }
+
+    // The catalog attached to a .books-grid, if any
+    BookCatalog.for = (grid) => instances.get(grid) || null;
+
+    window.BookCatalog = BookCatalog;
+    window.BookDialog = BookDialog;
+
+    // Run on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initBooks);
+    } else {
+        initBooks();
+    }
+
+})();
@@ -0,0 +1,516 @@
+/**
+ * CHARTS.JS
+ * Impact Dashboard - Dependency-Free SVG Bar, Line and Donut Charts
+ * with Keyboard Access and Data Table Fallbacks
+ * Dr. M. R. Ravi, IAS Portfolio
+ */
+
+(function () {
+    'use strict';
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            point: '{label}: {value}',
+            hint: 'Use the arrow keys to move between values.',
+            table: 'Data table'
+        },
+        kn: {
+            point: '{label}: {value}',
+            hint: 'ಮೌಲ್ಯಗಳ ನಡುವೆ ಚಲಿಸಲು ಬಾಣದ ಕೀಲಿಗಳನ್ನು ಬಳಸಿ.',
+            table: 'ದತ್ತಾಂಶ ಕೋಷ್ಟಕ'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Picks the page language from a data file's { en, kn } value, falling back to English
+    function localized(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return value;
+        return value[currentLang()] || value.en || '';
+    }
+
+    // Shared number formatting; format.js loads on every page before this
+    const { formatNumber } = window.SiteFormat;
+
+    // ========================================
+    // SVG Helpers
+    // ========================================
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    function svg(tag, attributes = {}, text) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    // Rounds a tick step up to 1, 2 or 5 times a power of ten, so the axis reads in round numbers
+    function niceStep(value) {
+        if (value <= 0) return 1;
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        return [1, 2, 5, 10].find(factor => factor * magnitude >= value) * magnitude;
+    }
+
+    // ========================================
+    // Chart
+    // ========================================
+
+    const WIDTH = 600;
+    const COLORS = 4;
+
+    const BAR = { row: 56, label: 18, bar: 20, gap: 6, valueSpace: 80 };
+    const LINE = { height: 300, top: 20, right: 20, bottom: 36, left: 56, ticks: 4 };
+    const DONUT = { size: 200, radius: 70, stroke: 28 };
+
+    let chartCount = 0;
+
+    /**
+     * One chart in a <figure>: the SVG, a tooltip, a legend for donuts and
+     * the same numbers as a table in a <details> below it, which is what
+     * screen readers and printouts get.
+     *
+     * spec: { id, type: 'bar' | 'line' | 'donut', title, description,
+     *         category, measure, format, data: [{ label, value }] }
+     * Text fields are { en, kn } objects (or plain strings); category and
+     * measure head the table's columns; format is Intl.NumberFormat options
+     * for SiteFormat.formatNumber (e.g. { "style": "percent" } or
+     * { "notation": "compact" }).
+     *
+     * Each value is a focusable element in the SVG, one tab stop per chart:
+     * Tab enters at the first value, the arrow keys, Home and End move
+     * between them, and focus or hover shows the value in the tooltip.
+     */
+    class SvgChart {
+        constructor(spec, options = {}) {
+            this.spec = spec;
+            this.id = `${options.namespace || 'chart'}-${spec.id || ++chartCount}`;
+            this.data = (spec.data || []).filter(datum => typeof datum.value === 'number');
+
+            this.createFigure();
+            this.points = Array.from(this.figure.querySelectorAll('.chart-point'));
+            this.bindEvents();
+        }
+
+        format(value) {
+            return formatNumber(value, this.spec.format);
+        }
+
+        label(datum) {
+            return t('point', { label: localized(datum.label), value: this.format(datum.value) });
+        }
+
+        createFigure() {
+            const figure = document.createElement('figure');
+            figure.className = `chart chart-${this.spec.type}`;
+            figure.id = this.id;
+
+            figure.innerHTML = `
+                <figcaption class="chart-caption">
+                    <h3 class="chart-title" id="${this.id}-title"></h3>
+                    <p class="chart-description" id="${this.id}-description"></p>
+                    <p class="sr-only" id="${this.id}-hint">${t('hint')}</p>
+                </figcaption>
+                <div class="chart-canvas">
+                    <div class="chart-tooltip" aria-hidden="true" hidden></div>
+                </div>
+                <details class="chart-data">
+                    <summary>${t('table')}</summary>
+                </details>
+            `;
+
+            figure.querySelector('.chart-title').textContent = localized(this.spec.title);
+            figure.querySelector('.chart-description').textContent = localized(this.spec.description);
+
+            this.figure = figure;
+            this.canvas = figure.querySelector('.chart-canvas');
+            this.tooltip = figure.querySelector('.chart-tooltip');
+
+            const renderers = {
+                bar: () => this.renderBar(),
+                line: () => this.renderLine(),
+                donut: () => this.renderDonut()
+            };
+
+            const chart = renderers[this.spec.type]();
+            chart.classList.add('chart-svg');
+            chart.setAttribute('role', 'group');
+            chart.setAttribute('aria-labelledby', `${this.id}-title`);
+            chart.setAttribute('aria-describedby', `${this.id}-description ${this.id}-hint`);
+            this.canvas.prepend(chart);
+
+            figure.querySelector('.chart-data').appendChild(this.renderTable());
+        }
+
+        // A focusable group for one value; its label is all a screen reader hears of it
+        point(datum, index, color = index % COLORS + 1) {
+            const group = svg('g', {
+                class: `chart-point chart-color-${color}`,
+                tabindex: index === 0 ? '0' : '-1',
+                role: 'img',
+                'aria-label': this.label(datum)
+            });
+            group.dataset.index = index;
+            return group;
+        }
+
+        // Horizontal bars, label above each, so long (and Kannada) labels have room
+        renderBar() {
+            const max = Math.max(...this.data.map(datum => datum.value), 0) || 1;
+            const height = this.data.length * BAR.row;
+            const chart = svg('svg', { viewBox: `0 0 ${WIDTH} ${height}` });
+
+            this.data.forEach((datum, index) => {
+                const top = index * BAR.row;
+                const width = Math.max((datum.value / max) * (WIDTH - BAR.valueSpace), 2);
+                const group = this.point(datum, index);
+
+                group.append(
+                    svg('text', { class: 'chart-label', x: 0, y: top + BAR.label - 4 }, localized(datum.label)),
+                    svg('rect', {
+                        class: 'chart-bar-rect',
+                        x: 0,
+                        y: top + BAR.label + BAR.gap,
+                        width,
+                        height: BAR.bar,
+                        rx: 3,
+                        style: `--index: ${index}`
+                    }),
+                    svg('text', {
+                        class: 'chart-value',
+                        x: width + 8,
+                        y: top + BAR.label + BAR.gap + BAR.bar / 2,
+                        'dominant-baseline': 'middle'
+                    }, this.format(datum.value))
+                );
+
+                chart.appendChild(group);
+            });
+
+            return chart;
+        }
+
+        renderLine() {
+            const { height, top, right, bottom, left, ticks } = LINE;
+            const max = niceStep(Math.max(...this.data.map(datum => datum.value), 0) / ticks) * ticks;
+            const plotWidth = WIDTH - left - right;
+            const plotHeight = height - top - bottom;
+
+            const round = n => Math.round(n * 10) / 10;
+            const x = index => round(left + (this.data.length > 1 ? index * plotWidth / (this.data.length - 1) : plotWidth / 2));
+            const y = value => round(top + plotHeight - (value / max) * plotHeight);
+
+            const chart = svg('svg', { viewBox: `0 0 ${WIDTH} ${height}` });
+            const axes = svg('g', { class: 'chart-axes', 'aria-hidden': 'true' });
+
+            for (let tick = 0; tick <= ticks; tick++) {
+                const value = max * tick / ticks;
+                axes.append(
+                    svg('line', { class: 'chart-grid', x1: left, x2: WIDTH - right, y1: y(value), y2: y(value) }),
+                    svg('text', { class: 'chart-tick', x: left - 8, y: y(value), 'text-anchor': 'end', 'dominant-baseline': 'middle' }, this.format(value))
+                );
+            }
+
+            this.data.forEach((datum, index) => {
+                axes.appendChild(svg('text', {
+                    class: 'chart-tick',
+                    x: x(index),
+                    y: height - bottom + 22,
+                    'text-anchor': 'middle'
+                }, localized(datum.label)));
+            });
+
+            const path = this.data.map((datum, index) => `${index ? 'L' : 'M'}${x(index)} ${y(datum.value)}`).join(' ');
+
+            chart.append(axes, svg('path', { class: 'chart-line', d: path, pathLength: 1 }));
+
+            this.data.forEach((datum, index) => {
+                const group = this.point(datum, index, 1);
+
+                group.append(
+                    svg('circle', { class: 'chart-dot', cx: x(index), cy: y(datum.value), r: 6, style: `--index: ${index}` }),
+                    svg('text', {
+                        class: 'chart-value',
+                        x: x(index),
+                        y: y(datum.value) - 14,
+                        'text-anchor': 'middle'
+                    }, this.format(datum.value))
+                );
+
+                chart.appendChild(group);
+            });
+
+            return chart;
+        }
+
+        // Segments are circles drawn with a dash, measured in hundredths of the ring
+        renderDonut() {
+            const { size, radius, stroke } = DONUT;
+            const center = size / 2;
+            const total = this.data.reduce((sum, datum) => sum + datum.value, 0) || 1;
+            const chart = svg('svg', { viewBox: `0 0 ${size} ${size}` });
+            let offset = 0;
+
+            chart.appendChild(svg('circle', {
+                class: 'chart-track',
+                cx: center,
+                cy: center,
+                r: radius,
+                'stroke-width': stroke,
+                'aria-hidden': 'true'
+            }));
+
+            this.data.forEach((datum, index) => {
+                const share = datum.value / total * 100;
+                const group = this.point(datum, index);
+
+                group.appendChild(svg('circle', {
+                    class: 'chart-segment',
+                    cx: center,
+                    cy: center,
+                    r: radius,
+                    'stroke-width': stroke,
+                    pathLength: 100,
+                    transform: `rotate(-90 ${center} ${center})`,
+                    style: `--share: ${share}; --offset: ${-offset}`
+                }));
+
+                offset += share;
+                chart.appendChild(group);
+            });
+
+            // The first value, large, in the hole
+            const first = this.data[0];
+            if (first) {
+                chart.append(
+                    svg('text', { class: 'chart-donut-value', x: center, y: center - 4, 'text-anchor': 'middle', 'aria-hidden': 'true' }, this.format(first.value)),
+                    svg('text', { class: 'chart-donut-label', x: center, y: center + 18, 'text-anchor': 'middle', 'aria-hidden': 'true' }, localized(first.label))
+                );
+            }
+
+            // Legend after the SVG; the table already carries the numbers for assistive tech
+            const legend = document.createElement('ul');
+            legend.className = 'chart-legend';
+            legend.setAttribute('aria-hidden', 'true');
+
+            this.data.forEach((datum, index) => {
+                const item = document.createElement('li');
+                item.className = `chart-color-${index % COLORS + 1}`;
+                item.innerHTML = '<span class="chart-swatch"></span>';
+                item.append(`${localized(datum.label)} `);
+
+                const value = document.createElement('strong');
+                value.textContent = this.format(datum.value);
+                item.appendChild(value);
+                legend.appendChild(item);
+            });
+
+            this.canvas.appendChild(legend);
+            return chart;
+        }
+
+        renderTable() {
+            const table = document.createElement('table');
+            table.className = 'chart-table';
+            table.innerHTML = `
+                <caption></caption>
+                <thead><tr><th scope="col"></th><th scope="col"></th></tr></thead>
+                <tbody></tbody>
+            `;
+
+            table.querySelector('caption').textContent = localized(this.spec.title);
+            const [category, measure] = table.querySelectorAll('thead th');
+            category.textContent = localized(this.spec.category);
+            measure.textContent = localized(this.spec.measure);
+
+            const body = table.querySelector('tbody');
+            this.data.forEach(datum => {
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.scope = 'row';
+                label.textContent = localized(datum.label);
+                const value = document.createElement('td');
+                value.textContent = this.format(datum.value);
+                row.append(label, value);
+                body.appendChild(row);
+            });
+
+            return table;
+        }
+
+        bindEvents() {
+            this.canvas.addEventListener('keydown', (e) => {
+                const index = this.points.indexOf(e.target);
+                if (index === -1) return;
+
+                const moves = {
+                    ArrowRight: index + 1,
+                    ArrowDown: index + 1,
+                    ArrowLeft: index - 1,
+                    ArrowUp: index - 1,
+                    Home: 0,
+                    End: this.points.length - 1
+                };
+
+                if (!(e.key in moves)) return;
+
+                e.preventDefault();
+                this.focusPoint(Math.min(Math.max(moves[e.key], 0), this.points.length - 1));
+            });
+
+            this.canvas.addEventListener('focusin', (e) => this.showTooltip(e.target.closest('.chart-point')));
+            this.canvas.addEventListener('focusout', () => this.hideTooltip());
+            this.canvas.addEventListener('pointerover', (e) => this.showTooltip(e.target.closest('.chart-point')));
+            this.canvas.addEventListener('pointerleave', () => this.hideTooltip());
+        }
+
+        // Roving tabindex: the focused value is the chart's one tab stop
+        focusPoint(index) {
+            this.points.forEach((point, i) => point.setAttribute('tabindex', i === index ? '0' : '-1'));
+            this.points[index].focus();
+        }
+
+        showTooltip(point) {
+            if (!point) return;
+
+            const datum = this.data[Number(point.dataset.index)];
+            const canvas = this.canvas.getBoundingClientRect();
+            const target = (point.querySelector('.chart-bar-rect, .chart-dot, .chart-segment') || point).getBoundingClientRect();
+
+            this.tooltip.textContent = this.label(datum);
+            this.tooltip.style.left = `${target.left - canvas.left + target.width / 2}px`;
+            this.tooltip.style.top = `${target.top - canvas.top}px`;
+            this.tooltip.hidden = false;
+            this.points.forEach(other => other.classList.toggle('is-active', other === point));
+        }
+
+        hideTooltip() {
+            this.tooltip.hidden = true;
+            this.points.forEach(point => point.classList.remove('is-active'));
+        }
+    }
+
+    // ========================================
+    // Impact Dashboard
+    // ========================================
+
+    const instances = new WeakMap();
+
+    /**
+     * Renders every chart in a JSON file into a container that ships hidden,
+     * so without JavaScript (or the data) the page's prose stands alone.
+     *
+     * Container attributes:
+     *   data-source  Chart data URL: { charts: [spec, ...] }, spec as on SvgChart
+     *
+     * Charts go into the container's .impact-charts (or the container itself)
+     * and animate in the first time they scroll into view.
+     *
+     * Public API (via ImpactDashboard.for(container)):
+     *   ready        Promise that settles once the charts are in place (or failed to load)
+     *   charts       Map of chart id to SvgChart
+     */
+    class ImpactDashboard {
+        constructor(container) {
+            if (instances.has(container)) return instances.get(container);
+            instances.set(container, this);
+
+            this.container = container;
+            this.grid = container.querySelector('.impact-charts') || container;
+            this.charts = new Map();
+
+            this.ready = this.load(new URL(container.dataset.source, document.baseURI));
+        }
+
+        async load(url) {
+            this.container.setAttribute('aria-busy', 'true');
+
+            try {
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+                if (!response.ok) {
+                    throw new Error(`Chart data request failed (${response.status})`);
+                }
+
+                const data = await response.json();
+                this.render(data.charts || []);
+            } catch (error) {
+                // Stays hidden; the rest of the page doesn't depend on it
+            }
+
+            this.container.removeAttribute('aria-busy');
+            return this;
+        }
+
+        render(specs) {
+            const namespace = this.container.id || 'chart';
+
+            specs
+                .filter(spec => ['bar', 'line', 'donut'].includes(spec.type) && (spec.data || []).length)
+                .forEach(spec => {
+                    const chart = new SvgChart(spec, { namespace });
+                    this.charts.set(spec.id, chart);
+                    this.grid.appendChild(chart.figure);
+                });
+
+            if (!this.charts.size) return;
+
+            this.container.hidden = false;
+            this.animate();
+        }
+
+        animate() {
+            const figures = Array.from(this.charts.values()).map(chart => chart.figure);
+
+            if (!('IntersectionObserver' in window)) {
+                figures.forEach(figure => figure.classList.add('is-visible'));
+                return;
+            }
+
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    entry.target.classList.add('is-visible');
+                    observer.unobserve(entry.target);
+                });
+            }, { threshold: 0.3 });
+
+            figures.forEach(figure => observer.observe(figure));
+        }
+    }
+
+    // ========================================
+    // Initialize Charts
+    // ========================================
+
+    function initCharts() {
+        document.querySelectorAll('.impact-dashboard[data-source]').forEach(container => new ImpactDashboard(container));
+    }
+
+    // The dashboard attached to a container, if any
+    ImpactDashboard.for = (container) => instances.get(container) || null;
+
+    window.SvgChart = SvgChart;
+    window.ImpactDashboard = ImpactDashboard;
+
+    // Run on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initCharts);
+    } else {
+        initCharts();
+    }
+
+})();
@@ -1,50 +1,1158 @@
 /**
  * FORM.JS
- * Contact Form Validation (Client-side only)
+ * Contact Form Validation & Submission
  * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Forms marked with [data-validate] are validated client-side and, when they
+ * declare a [data-endpoint], posted to that endpoint. Supported attributes:
+ *   data-endpoint   URL the fields are sent to (falls back to the form action)
+ *   data-encoding   "json" (default) or "form" (application/x-www-form-urlencoded)
+ *   data-timeout    Request timeout in milliseconds (default 10000)
+ *   data-retries    Retries after a network failure or timeout (default 2)
+ *   data-upload-timeout  Timeout in milliseconds when files are attached (default 60000)
+ *   data-locale     Message catalog to use (defaults to <html lang>)
+ *
+ * Anti-spam (see SpamGuard):
+ *   data-min-time      Minimum milliseconds between page load and submit (default 3000)
+ *   data-rate-limit    Successful submissions allowed per browser per window (default 3)
+ *   data-rate-window   Rate-limit window in seconds (default 600)
+ *   data-pow-endpoint  Opt-in proof-of-work challenge URL
+ *   [data-honeypot]    Marks a visually hidden field that humans leave empty
+ *
+ * Drafts (see DraftStore):
+ *   data-draft           "local" (default), "session" or "off"
+ *   [data-draft-exclude] Field is never written to storage
+ *
+ * Individual fields can override catalog messages with data-msg-<rule>,
+ * e.g. data-msg-required="..." or data-msg-minlength="At least {min} letters".
+ *
+ * Extra rules are declared per field with data-rules, separated by ";" and
+ * taking comma-separated arguments after ":", e.g.
+ *   data-rules="phone-in"
+ *   data-rules="matches:email"
+ *   data-rules="required-if:subject=Speaking invitation; max-words:300"
+ * Built-in: phone-in, pincode-in, matches, required-if, min-words, max-words,
+ * remote:<url>. More can be added from other scripts before or after load:
+ *   FormValidator.registerRule('gstin', (value, args, ctx) => ..., { en: '...', kn: '...' });
+ * A rule returns true, false, an error string, or a Promise of one of those;
+ * one that throws fails the field. An unregistered rule name is skipped and
+ * reported once as an uncaught error.
+ *
+ * Category-dependent fields: a <select data-category-select> shows the
+ * groups whose data-category-fields lists its value (space-separated) and
+ * hides/disables the rest. Fields in hidden groups are unregistered from the
+ * validator and, being disabled, left out of the submitted payload.
+ *
+ * Attachments: an <input type="file" data-attachments> is enhanced with
+ * drag-and-drop, previews and per-file removal (see AttachmentField).
+ *   accept          Allowed extensions / MIME types, as for the native input
+ *   data-max-files  Maximum number of files (default 5, or 1 without [multiple])
+ *   data-max-size   Maximum bytes per file (default 5 MB)
+ * When files are attached the form is sent as multipart/form-data.
+ *
+ * The endpoint is expected to answer with JSON:
+ *   2xx  { "ok": true, "message": "..." }
+ *   4xx  { "ok": false, "message": "...", "errors": { "<field>": "..." } }
+ * Run `node tools/contact-server.js` for a local stand-in.
  */
 
 (function () {
     'use strict';
 
+    // ========================================
+    // Message Catalog
+    // ========================================
+
+    // Keyed by rule type; {min} and {max} are interpolated
+    const MESSAGES = {
+        en: {
+            required: 'This field is required',
+            email: 'Please enter a valid email address',
+            minlength: 'Must be at least {min} characters',
+            maxlength: 'Must be no more than {max} characters',
+            min: 'Must be at least {min}',
+            max: 'Must be no more than {max}',
+            pattern: 'Please match the required format',
+            sending: 'Sending…',
+            successTitle: 'Thank you for your message!',
+            successMessage: 'Your message has been received. We will get back to you soon.',
+            timeout: 'The server took too long to respond. Please try again.',
+            network: 'We could not reach the server. Please check your connection and try again.',
+            serverError: 'Your message could not be sent. Please try again later.',
+            notConfigured: 'This form is not configured to send messages yet. Please email us instead.',
+            spamHoneypot: 'Your message could not be sent because a hidden field was filled in. If you use autofill, please clear it and try again.',
+            spamTooFast: 'That was quick! Please take a moment to review your message, then send it again.',
+            spamRateLimited: 'You have sent several messages recently. Please wait {minutes} minute(s) before sending another.',
+            spamChallenge: 'We could not verify your browser. Please reload the page and try again.',
+            draftFound: 'You have an unsent draft from {time}.',
+            draftRestore: 'Restore draft',
+            draftDiscard: 'Discard',
+            invalid: 'Please check this field',
+            'phone-in': 'Please enter a valid Indian mobile number (10 digits starting with 6–9)',
+            'pincode-in': 'Please enter a valid 6-digit PIN code',
+            matches: 'The two entries do not match',
+            'required-if': 'This field is required',
+            'min-words': 'Please write at least {0} words',
+            'max-words': 'Please keep this under {0} words',
+            remote: 'This value could not be accepted',
+            attachType: '“{name}” is not an accepted file type',
+            attachSize: '“{name}” is larger than {max}',
+            attachCount: 'You can attach up to {max} files',
+            attachRemove: 'Remove {name}',
+            attachCountStatus: '{count} file(s) attached',
+            uploading: 'Uploading… {percent}%'
+        },
+        kn: {
+            required: 'ಈ ಕ್ಷೇತ್ರ ಕಡ್ಡಾಯವಾಗಿದೆ',
+            email: 'ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ ಇಮೇಲ್ ವಿಳಾಸವನ್ನು ನಮೂದಿಸಿ',
+            minlength: 'ಕನಿಷ್ಠ {min} ಅಕ್ಷರಗಳಿರಬೇಕು',
+            maxlength: 'ಗರಿಷ್ಠ {max} ಅಕ್ಷರಗಳನ್ನು ಮೀರಬಾರದು',
+            min: 'ಕನಿಷ್ಠ {min} ಆಗಿರಬೇಕು',
+            max: 'ಗರಿಷ್ಠ {max} ಮೀರಬಾರದು',
+            pattern: 'ದಯವಿಟ್ಟು ಅಗತ್ಯವಿರುವ ಸ್ವರೂಪದಲ್ಲಿ ನಮೂದಿಸಿ',
+            sending: 'ಕಳುಹಿಸಲಾಗುತ್ತಿದೆ…',
+            successTitle: 'ನಿಮ್ಮ ಸಂದೇಶಕ್ಕೆ ಧನ್ಯವಾದಗಳು!',
+            successMessage: 'ನಿಮ್ಮ ಸಂದೇಶ ನಮಗೆ ತಲುಪಿದೆ. ಶೀಘ್ರದಲ್ಲೇ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತೇವೆ.',
+            timeout: 'ಸರ್ವರ್ ಪ್ರತಿಕ್ರಿಯಿಸಲು ಹೆಚ್ಚು ಸಮಯ ತೆಗೆದುಕೊಂಡಿತು. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+            network: 'ಸರ್ವರ್ ಅನ್ನು ತಲುಪಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ನಿಮ್ಮ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+            serverError: 'ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಕಳುಹಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+            notConfigured: 'ಈ ಫಾರ್ಮ್ ಇನ್ನೂ ಸಂದೇಶಗಳನ್ನು ಕಳುಹಿಸಲು ಸಿದ್ಧವಾಗಿಲ್ಲ. ದಯವಿಟ್ಟು ನಮಗೆ ಇಮೇಲ್ ಮಾಡಿ.',
+            spamHoneypot: 'ಮರೆಮಾಡಿದ ಕ್ಷೇತ್ರವೊಂದು ಭರ್ತಿಯಾಗಿರುವುದರಿಂದ ಸಂದೇಶವನ್ನು ಕಳುಹಿಸಲಾಗಲಿಲ್ಲ. ಸ್ವಯಂ ಭರ್ತಿ ಬಳಸುತ್ತಿದ್ದರೆ ಅದನ್ನು ತೆರವುಗೊಳಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+            spamTooFast: 'ತುಂಬಾ ಬೇಗ! ದಯವಿಟ್ಟು ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಒಮ್ಮೆ ಪರಿಶೀಲಿಸಿ, ನಂತರ ಮತ್ತೆ ಕಳುಹಿಸಿ.',
+            spamRateLimited: 'ನೀವು ಇತ್ತೀಚೆಗೆ ಹಲವು ಸಂದೇಶಗಳನ್ನು ಕಳುಹಿಸಿದ್ದೀರಿ. ಇನ್ನೊಂದನ್ನು ಕಳುಹಿಸುವ ಮೊದಲು {minutes} ನಿಮಿಷ ಕಾಯಿರಿ.',
+            spamChallenge: 'ನಿಮ್ಮ ಬ್ರೌಸರ್ ಅನ್ನು ಪರಿಶೀಲಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಪುಟವನ್ನು ಮರುಲೋಡ್ ಮಾಡಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+            draftFound: '{time} ರಂದು ಬರೆದ, ಇನ್ನೂ ಕಳುಹಿಸದ ಕರಡು ಸಂದೇಶವಿದೆ.',
+            draftRestore: 'ಕರಡನ್ನು ಮರುಸ್ಥಾಪಿಸಿ',
+            draftDiscard: 'ತ್ಯಜಿಸಿ',
+            invalid: 'ದಯವಿಟ್ಟು ಈ ಕ್ಷೇತ್ರವನ್ನು ಪರಿಶೀಲಿಸಿ',
+            'phone-in': 'ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ ಭಾರತೀಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ (6–9 ರಿಂದ ಆರಂಭವಾಗುವ 10 ಅಂಕಿಗಳು)',
+            'pincode-in': 'ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ 6 ಅಂಕಿಯ ಪಿನ್ ಕೋಡ್ ನಮೂದಿಸಿ',
+            matches: 'ಎರಡೂ ನಮೂದುಗಳು ಹೊಂದಿಕೆಯಾಗುತ್ತಿಲ್ಲ',
+            'required-if': 'ಈ ಕ್ಷೇತ್ರ ಕಡ್ಡಾಯವಾಗಿದೆ',
+            'min-words': 'ದಯವಿಟ್ಟು ಕನಿಷ್ಠ {0} ಪದಗಳನ್ನು ಬರೆಯಿರಿ',
+            'max-words': 'ದಯವಿಟ್ಟು {0} ಪದಗಳ ಒಳಗೆ ಬರೆಯಿರಿ',
+            remote: 'ಈ ಮೌಲ್ಯವನ್ನು ಸ್ವೀಕರಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+            attachType: '“{name}” ಸ್ವೀಕಾರಾರ್ಹ ಕಡತ ಪ್ರಕಾರವಲ್ಲ',
+            attachSize: '“{name}” {max} ಗಿಂತ ದೊಡ್ಡದಾಗಿದೆ',
+            attachCount: 'ಗರಿಷ್ಠ {max} ಕಡತಗಳನ್ನು ಮಾತ್ರ ಲಗತ್ತಿಸಬಹುದು',
+            attachRemove: '{name} ತೆಗೆದುಹಾಕಿ',
+            attachCountStatus: '{count} ಕಡತ(ಗಳು) ಲಗತ್ತಿಸಲಾಗಿದೆ',
+            uploading: 'ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿದೆ… {percent}%'
+        }
+    };
+
+    const DEFAULT_LOCALE = 'en';
+
+    function resolveLocale(form) {
+        const requested = (form.dataset.locale || document.documentElement.lang || DEFAULT_LOCALE).toLowerCase();
+
+        if (MESSAGES[requested]) return requested;
+
+        // "kn-IN" -> "kn"
+        const base = requested.split('-')[0];
+        return MESSAGES[base] ? base : DEFAULT_LOCALE;
+    }
+
+    function interpolate(template, params = {}) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+    }
+
+    // "required-if" -> "RequiredIf", for data-msg-* dataset lookups
+    function pascalCase(name) {
+        return name.replace(/(^|-)(\w)/g, (match, dash, char) => char.toUpperCase());
+    }
+
+    // ========================================
+    // Rule Registry
+    // ========================================
+
+    const ruleRegistry = new Map();
+
+    /**
+     * Register a data-rules rule.
+     * test(value, args, context) returns true, false, an error string, or a
+     * Promise of one of those. context: { element, form, validator, valueOf(name) }.
+     * message is a string, a { en, kn } map, or omitted to use the catalog entry
+     * with the same name. {0}, {1}... interpolate the rule arguments.
+     * options.validateEmpty runs the rule on empty values (default: skipped).
+     * options.dependsOn(args) names fields whose changes revalidate this one.
+     */
+    function registerRule(name, test, message, options = {}) {
+        ruleRegistry.set(name, {
+            test,
+            message: message || null,
+            validateEmpty: Boolean(options.validateEmpty),
+            dependsOn: options.dependsOn || null
+        });
+    }
+
+    const reportedRules = new Set();
+
+    /**
+     * A data-rules name nothing registered, most likely a typo. Rules are
+     * looked up when a field validates, so this is only known then; it is
+     * thrown once per name, outside validation, so the form keeps working.
+     */
+    function reportUnknownRule(name, input) {
+        if (reportedRules.has(name)) return;
+        reportedRules.add(name);
+
+        setTimeout(() => {
+            throw new Error(`FormValidator: unknown rule "${name}" on field "${input.name}"`);
+        });
+    }
+
+    // "matches:email; max-words:300" -> [{ name, args }]
+    function parseRules(attribute) {
+        if (!attribute) return [];
+
+        return attribute.split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const separator = part.indexOf(':');
+                if (separator === -1) return { name: part, args: [] };
+
+                return {
+                    name: part.slice(0, separator).trim(),
+                    args: part.slice(separator + 1).split(',').map(arg => arg.trim())
+                };
+            });
+    }
+
+    function countWords(value) {
+        const trimmed = value.trim();
+        return trimmed ? trimmed.split(/\s+/).length : 0;
+    }
+
+    // Mobile: optional +91 / 0 prefix, then 10 digits starting 6-9
+    registerRule('phone-in', (value) =>
+        /^(?:\+?91|0)?[6-9]\d{9}$/.test(value.replace(/[\s-]/g, ''))
+    );
+
+    registerRule('pincode-in', (value) => /^[1-9]\d{2}\s?\d{3}$/.test(value.trim()));
+
+    registerRule('matches', (value, args, context) => value === context.valueOf(args[0]), null, {
+        validateEmpty: true,
+        dependsOn: (args) => [args[0]]
+    });
+
+    // required-if:subject=Speaking invitation  (or just required-if:organization when filled)
+    registerRule('required-if', (value, args, context) => {
+        const [otherName, expected] = args[0].split('=').map(part => part.trim());
+        const other = context.valueOf(otherName);
+        const applies = expected === undefined ? other.trim() !== '' : other === expected;
+
+        return !applies || value.trim() !== '';
+    }, null, {
+        validateEmpty: true,
+        dependsOn: (args) => [args[0].split('=')[0].trim()]
+    });
+
+    registerRule('min-words', (value, args) => countWords(value) >= parseInt(args[0], 10));
+
+    registerRule('max-words', (value, args) => countWords(value) <= parseInt(args[0], 10));
+
+    // How long a remote check may take before the value is let through
+    const REMOTE_TIMEOUT = 5000;
+
+    // remote:/api/check  ->  GET /api/check?field=<name>&value=<value>
+    // expects { "valid": boolean, "message"?: string }
+    registerRule('remote', async (value, args, context) => {
+        const url = new URL(args[0], window.location.href);
+        url.searchParams.set('field', context.element.name);
+        url.searchParams.set('value', value);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REMOTE_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            if (!response.ok) return true; // Don't block people on a validation outage
+
+            const result = await response.json();
+            return result.valid ? true : (result.message || false);
+        } catch (error) {
+            // Offline, a bad response or a check that hung past REMOTE_TIMEOUT:
+            // the server validates again anyway
+            return true;
+        } finally {
+            clearTimeout(timer);
+        }
+    });
+
+    // ========================================
+    // Form Submitter
+    // ========================================
+
+    // HTTP statuses worth retrying: the request never reached the application
+    const RETRYABLE_STATUSES = [502, 503, 504];
+
+    class SubmissionError extends Error {
+        constructor(message, type, response = null) {
+            super(message);
+            this.name = 'SubmissionError';
+            this.type = type; // 'network' | 'timeout' | 'http' | 'challenge'
+            this.status = response ? response.status : 0;
+            this.body = response ? response.body : null;
+        }
+    }
+
+    class FormSubmitter {
+        constructor(endpoint, options = {}) {
+            this.endpoint = endpoint;
+            this.encoding = options.encoding === 'form' ? 'form' : 'json';
+            this.timeout = options.timeout || 10000;
+            this.retries = options.retries !== undefined ? options.retries : 2;
+            this.retryDelay = options.retryDelay || 800;
+            this.uploadTimeout = options.uploadTimeout || 60000;
+            this.locale = options.locale || DEFAULT_LOCALE;
+        }
+
+        /**
+         * options.onProgress(fraction) is called during multipart uploads.
+         */
+        async send(formData, options = {}) {
+            let attempt = 0;
+
+            while (true) {
+                try {
+                    const response = hasFiles(formData)
+                        ? await this.upload(formData, options.onProgress)
+                        : await this.request(formData);
+
+                    if (RETRYABLE_STATUSES.includes(response.status) && attempt < this.retries) {
+                        throw new SubmissionError('Service unavailable', 'network', response);
+                    }
+
+                    if (response.status < 200 || response.status >= 300) {
+                        throw new SubmissionError('Request rejected', 'http', response);
+                    }
+
+                    return response.body;
+                } catch (error) {
+                    const retryable = error.type === 'network' || error.type === 'timeout';
+
+                    if (!retryable || attempt >= this.retries) {
+                        throw error;
+                    }
+
+                    // Exponential backoff: 800ms, 1600ms, ...
+                    await wait(this.retryDelay * Math.pow(2, attempt));
+                    attempt++;
+                }
+            }
+        }
+
+        async request(formData) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeout);
+
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Accept': 'application/json',
+                        'Accept-Language': this.locale,
+                        'Content-Type': this.encoding === 'json'
+                            ? 'application/json'
+                            : 'application/x-www-form-urlencoded'
+                    },
+                    body: this.encode(formData),
+                    signal: controller.signal
+                });
+
+                let body = null;
+                try {
+                    body = await response.json();
+                } catch (parseError) {
+                    // Non-JSON response (e.g. a proxy error page)
+                }
+
+                return { status: response.status, body };
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new SubmissionError('Request timed out', 'timeout');
+                }
+                throw new SubmissionError(error.message, 'network');
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        // fetch can't report upload progress, so multipart goes through XHR
+        upload(formData, onProgress) {
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+
+                xhr.open('POST', this.endpoint);
+                xhr.timeout = this.uploadTimeout;
+                xhr.setRequestHeader('Accept', 'application/json');
+                xhr.setRequestHeader('Accept-Language', this.locale);
+
+                if (onProgress) {
+                    xhr.upload.addEventListener('progress', (e) => {
+                        if (e.lengthComputable) {
+                            onProgress(e.loaded / e.total);
+                        }
+                    });
+                }
+
+                xhr.addEventListener('load', () => {
+                    let body = null;
+                    try {
+                        body = JSON.parse(xhr.responseText);
+                    } catch (parseError) {
+                        // Non-JSON response (e.g. a proxy error page)
+                    }
+                    resolve({ status: xhr.status, body });
+                });
+                xhr.addEventListener('error', () => reject(new SubmissionError('Upload failed', 'network')));
+                xhr.addEventListener('timeout', () => reject(new SubmissionError('Upload timed out', 'timeout')));
+
+                // Browser sets the multipart boundary itself
+                xhr.send(formData);
+            });
+        }
+
+        encode(formData) {
+            if (this.encoding === 'form') {
+                return new URLSearchParams(formData).toString();
+            }
+
+            const data = {};
+            formData.forEach((value, key) => {
+                if (key in data) {
+                    // Repeated names (checkbox groups) become arrays
+                    data[key] = [].concat(data[key], value);
+                } else {
+                    data[key] = value;
+                }
+            });
+
+            return JSON.stringify(data);
+        }
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function hasFiles(formData) {
+        for (const value of formData.values()) {
+            if (value instanceof File && value.name !== '') return true;
+        }
+        return false;
+    }
+
+    // ========================================
+    // Attachment Field
+    // ========================================
+
+    class AttachmentField {
+        constructor(validator, input) {
+            this.validator = validator;
+            this.input = input;
+            this.files = [];
+            this.maxFiles = parseInt(input.dataset.maxFiles, 10) || (input.multiple ? 5 : 1);
+            this.maxSize = parseInt(input.dataset.maxSize, 10) || 5 * 1024 * 1024;
+            this.accept = (input.accept || '').split(',')
+                .map(type => type.trim().toLowerCase())
+                .filter(Boolean);
+
+            this.group = input.closest('.form-group');
+            this.dropzone = this.group.querySelector('.attachment-dropzone');
+
+            this.build();
+            this.bindEvents();
+        }
+
+        build() {
+            this.errors = document.createElement('div');
+            // Not .form-error: that one belongs to the field's own validation message
+            this.errors.className = 'attachment-errors';
+            this.errors.setAttribute('role', 'alert');
+
+            this.list = document.createElement('ul');
+            this.list.className = 'attachment-list';
+
+            this.status = document.createElement('p');
+            this.status.className = 'sr-only';
+            this.status.setAttribute('aria-live', 'polite');
+
+            this.progress = document.createElement('div');
+            this.progress.className = 'attachment-progress';
+            this.progress.hidden = true;
+            this.progress.innerHTML = '<progress max="100" value="0"></progress><span></span>';
+            this.progressBar = this.progress.querySelector('progress');
+            this.progressLabel = this.progress.querySelector('span');
+
+            this.group.append(this.errors, this.list, this.progress, this.status);
+        }
+
+        bindEvents() {
+            this.input.addEventListener('change', () => {
+                this.addFiles(this.input.files);
+                // Files live in this.files; reset so the same file can be picked again
+                this.input.value = '';
+            });
+
+            if (!this.dropzone) return;
+
+            ['dragenter', 'dragover'].forEach(type => {
+                this.dropzone.addEventListener(type, (e) => {
+                    e.preventDefault();
+                    this.dropzone.classList.add('is-dragover');
+                });
+            });
+
+            ['dragleave', 'drop'].forEach(type => {
+                this.dropzone.addEventListener(type, () => {
+                    this.dropzone.classList.remove('is-dragover');
+                });
+            });
+
+            this.dropzone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (e.dataTransfer && e.dataTransfer.files) {
+                    this.addFiles(e.dataTransfer.files);
+                }
+            });
+        }
+
+        addFiles(fileList) {
+            const errors = [];
+            const maxSize = this.formatSize(this.maxSize);
+
+            Array.from(fileList).forEach(file => {
+                if (this.files.some(entry => isSameFile(entry.file, file))) return;
+
+                if (this.files.length >= this.maxFiles) {
+                    const message = this.validator.t('attachCount', { max: this.maxFiles });
+                    if (!errors.includes(message)) errors.push(message);
+                } else if (!this.isAccepted(file)) {
+                    errors.push(this.validator.t('attachType', { name: file.name }));
+                } else if (file.size > this.maxSize) {
+                    errors.push(this.validator.t('attachSize', { name: file.name, max: maxSize }));
+                } else {
+                    this.files.push(this.renderFile(file));
+                }
+            });
+
+            this.errors.textContent = errors.join(' ');
+            this.announceCount();
+
+            // A picked file answers a "required" error
+            const field = this.validator.fields[this.input.name];
+            if (field && this.files.length > 0) {
+                this.validator.clearFieldError(field);
+            }
+        }
+
+        removeFile(entry) {
+            const index = this.files.indexOf(entry);
+            if (index === -1) return;
+
+            this.files.splice(index, 1);
+            entry.item.remove();
+            if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+
+            // Keep focus in the list, or fall back to the picker
+            const next = this.files[index] || this.files[index - 1];
+            (next ? next.removeBtn : this.input).focus();
+
+            this.errors.textContent = '';
+            this.announceCount();
+        }
+
+        renderFile(file) {
+            const entry = { file, previewUrl: null };
+
+            const item = document.createElement('li');
+            item.className = 'attachment-item';
+
+            if (file.type.startsWith('image/')) {
+                entry.previewUrl = URL.createObjectURL(file);
+
+                const preview = document.createElement('img');
+                preview.className = 'attachment-preview';
+                preview.src = entry.previewUrl;
+                preview.alt = '';
+                item.appendChild(preview);
+            } else {
+                const icon = document.createElement('span');
+                icon.className = 'attachment-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.textContent = '📄';
+                item.appendChild(icon);
+            }
+
+            const name = document.createElement('span');
+            name.className = 'attachment-name';
+            name.textContent = file.name;
+
+            const size = document.createElement('span');
+            size.className = 'attachment-size';
+            size.textContent = this.formatSize(file.size);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'attachment-remove';
+            removeBtn.setAttribute('aria-label', this.validator.t('attachRemove', { name: file.name }));
+            removeBtn.innerHTML = '<span aria-hidden="true">&times;</span>';
+            removeBtn.addEventListener('click', () => this.removeFile(entry));
+
+            item.append(name, size, removeBtn);
+            this.list.appendChild(item);
+
+            entry.item = item;
+            entry.removeBtn = removeBtn;
+            return entry;
+        }
+
+        isAccepted(file) {
+            if (this.accept.length === 0) return true;
+
+            const name = file.name.toLowerCase();
+            const type = (file.type || '').toLowerCase();
+
+            return this.accept.some(pattern => {
+                if (pattern.startsWith('.')) return name.endsWith(pattern);
+                if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+                return type === pattern;
+            });
+        }
+
+        formatSize(bytes) {
+            const locale = this.validator.locale === 'kn' ? 'kn-IN' : 'en-IN';
+            const inMb = bytes >= 1024 * 1024;
+
+            return new Intl.NumberFormat(locale, {
+                style: 'unit',
+                unit: inMb ? 'megabyte' : 'kilobyte',
+                maximumFractionDigits: 1
+            }).format(bytes / (inMb ? 1024 * 1024 : 1024));
+        }
+
+        announceCount() {
+            this.status.textContent = this.validator.t('attachCountStatus', { count: this.files.length });
+        }
+
+        // Replace the (always empty) native entry with the managed files
+        appendTo(formData) {
+            formData.delete(this.input.name);
+            this.files.forEach(entry => formData.append(this.input.name, entry.file, entry.file.name));
+        }
+
+        setProgress(fraction) {
+            if (fraction === null) {
+                this.progress.hidden = true;
+                return;
+            }
+
+            const percent = Math.round(fraction * 100);
+            this.progress.hidden = false;
+            this.progressBar.value = percent;
+            this.progressLabel.textContent = this.validator.t('uploading', { percent });
+        }
+    }
+
+    function isSameFile(a, b) {
+        return a.name === b.name && a.size === b.size && a.lastModified === b.lastModified;
+    }
+
+    // ========================================
+    // Spam Guard
+    // ========================================
+
+    const RATE_LIMIT_PREFIX = 'formGuard:';
+
+    class SpamGuard {
+        constructor(form, key) {
+            this.form = form;
+            this.storageKey = RATE_LIMIT_PREFIX + key;
+            this.loadedAt = Date.now();
+            this.minTime = parseInt(form.dataset.minTime, 10) || 3000;
+            this.rateLimit = parseInt(form.dataset.rateLimit, 10) || 3;
+            this.rateWindow = (parseInt(form.dataset.rateWindow, 10) || 600) * 1000;
+            this.powEndpoint = form.dataset.powEndpoint || null;
+            this.honeypot = form.querySelector('[data-honeypot]');
+        }
+
+        /**
+         * Cheap synchronous checks run before anything is sent.
+         * Returns { ok: true } or { ok: false, reason, params } where reason
+         * is a message catalog key.
+         */
+        check() {
+            if (this.honeypot && this.honeypot.value !== '') {
+                return { ok: false, reason: 'spamHoneypot' };
+            }
+
+            if (Date.now() - this.loadedAt < this.minTime) {
+                return { ok: false, reason: 'spamTooFast' };
+            }
+
+            const recent = this.recentSubmissions();
+            if (recent.length >= this.rateLimit) {
+                const retryAt = recent[0] + this.rateWindow;
+                const minutes = Math.max(1, Math.ceil((retryAt - Date.now()) / 60000));
+                return { ok: false, reason: 'spamRateLimited', params: { minutes } };
+            }
+
+            return { ok: true };
+        }
+
+        // Solve the proof-of-work challenge (if configured) and attach the answer
+        async protect(formData) {
+            if (!this.powEndpoint) return;
+
+            try {
+                const response = await fetch(this.powEndpoint, { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) throw new Error(`Challenge request failed (${response.status})`);
+
+                const { challenge, difficulty } = await response.json();
+                const nonce = await solveProofOfWork(challenge, difficulty);
+
+                formData.append('pow_challenge', challenge);
+                formData.append('pow_nonce', String(nonce));
+            } catch (error) {
+                throw new SubmissionError(error.message, 'challenge');
+            }
+        }
+
+        record() {
+            const recent = this.recentSubmissions();
+            recent.push(Date.now());
+
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(recent));
+            } catch (error) {
+                // Storage unavailable (private mode, quota) - skip rate limiting
+            }
+        }
+
+        recentSubmissions() {
+            let timestamps = [];
+
+            try {
+                timestamps = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            } catch (error) {
+                // Missing or corrupt entry - start afresh
+            }
+
+            const cutoff = Date.now() - this.rateWindow;
+            return timestamps.filter(time => typeof time === 'number' && time > cutoff);
+        }
+    }
+
+    // Find a nonce whose SHA-256(challenge:nonce) starts with `difficulty` zero bits
+    async function solveProofOfWork(challenge, difficulty) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('Web Crypto is unavailable');
+        }
+
+        const encoder = new TextEncoder();
+
+        for (let nonce = 0; nonce < 1e8; nonce++) {
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+            if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                return nonce;
+            }
+        }
+
+        throw new Error('Proof-of-work not found');
+    }
+
+    function leadingZeroBits(bytes) {
+        let bits = 0;
+
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+
+        return bits;
+    }
+
+    // ========================================
+    // Draft Store
+    // ========================================
+
+    const DRAFT_PREFIX = 'formDraft:';
+    const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+    const DRAFT_SKIPPED_TYPES = ['password', 'file', 'hidden', 'submit', 'button', 'reset'];
+
+    class DraftStore {
+        constructor(form, key) {
+            const mode = form.dataset.draft || 'local';
+
+            this.form = form;
+            this.key = DRAFT_PREFIX + key;
+            this.storage = mode === 'off' ? null : getStorage(mode === 'session' ? 'sessionStorage' : 'localStorage');
+            this.saveTimer = null;
+        }
+
+        get enabled() {
+            return this.storage !== null;
+        }
+
+        draftableElements() {
+            return Array.from(this.form.elements).filter(el =>
+                el.name &&
+                !DRAFT_SKIPPED_TYPES.includes(el.type) &&
+                !el.hasAttribute('data-draft-exclude') &&
+                !el.hasAttribute('data-honeypot')
+            );
+        }
+
+        collect() {
+            const values = {};
+
+            this.draftableElements().forEach(el => {
+                if (el.type === 'checkbox' || el.type === 'radio') {
+                    if (!values[el.name]) values[el.name] = [];
+                    if (el.checked) values[el.name].push(el.value);
+                } else if (el.type === 'select-multiple') {
+                    values[el.name] = Array.from(el.selectedOptions).map(option => option.value);
+                } else {
+                    values[el.name] = el.value;
+                }
+            });
+
+            return values;
+        }
+
+        apply(values) {
+            this.draftableElements().forEach(el => {
+                if (!(el.name in values)) return;
+
+                const value = values[el.name];
+
+                if (el.type === 'checkbox' || el.type === 'radio') {
+                    el.checked = [].concat(value).includes(el.value);
+                } else if (el.type === 'select-multiple') {
+                    Array.from(el.options).forEach(option => {
+                        option.selected = [].concat(value).includes(option.value);
+                    });
+                } else {
+                    el.value = value;
+                }
+
+                // Let dependent UI (counters, conditional fields) catch up
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        }
+
+        // Debounced so typing doesn't hit storage on every keystroke
+        scheduleSave() {
+            if (!this.enabled) return;
+
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), 500);
+        }
+
+        save() {
+            const values = this.collect();
+            const hasContent = Object.values(values).some(value =>
+                Array.isArray(value) ? value.length > 0 : value.trim() !== ''
+            );
+
+            if (!hasContent) {
+                this.clear();
+                return;
+            }
+
+            try {
+                this.storage.setItem(this.key, JSON.stringify({ savedAt: Date.now(), values }));
+            } catch (error) {
+                // Quota exceeded - drafts are best effort
+            }
+        }
+
+        load() {
+            if (!this.enabled) return null;
+
+            try {
+                const draft = JSON.parse(this.storage.getItem(this.key));
+
+                if (draft && draft.values && Date.now() - draft.savedAt < DRAFT_TTL) {
+                    return draft;
+                }
+            } catch (error) {
+                // Corrupt entry - fall through and remove it
+            }
+
+            this.clear();
+            return null;
+        }
+
+        clear() {
+            clearTimeout(this.saveTimer);
+
+            if (!this.enabled) return;
+
+            try {
+                this.storage.removeItem(this.key);
+            } catch (error) {
+                // Ignore
+            }
+        }
+    }
+
+    function getStorage(name) {
+        try {
+            const storage = window[name];
+            const probe = '__formDraftProbe__';
+            storage.setItem(probe, probe);
+            storage.removeItem(probe);
+            return storage;
+        } catch (error) {
+            return null;
+        }
+    }
+
     // ========================================
     // Form Validator
     // ========================================
 
     class FormValidator {
-        constructor(form) {
+        constructor(form, index = 0) {
             this.form = form;
             this.fields = {};
+            this.fieldRecords = new WeakMap();
+            this.attachments = {};
+            this.locale = resolveLocale(form);
+            this.messages = MESSAGES[this.locale];
+            this.isSubmitting = false;
+            this.isValidating = false;
+            this.submitButton = form.querySelector('[type="submit"]');
+            this.submitter = this.createSubmitter();
+            this.guard = new SpamGuard(form, this.submitter ? this.submitter.endpoint : window.location.pathname);
+
+            // Drafts are per page and per form so several forms never collide
+            const formKey = form.id || form.getAttribute('name') || `form-${index}`;
+            this.draft = new DraftStore(form, `${window.location.pathname}#${formKey}`);
+
             this.init();
         }
 
+        createSubmitter() {
+            const endpoint = this.form.dataset.endpoint || this.form.getAttribute('action');
+
+            if (!endpoint) return null;
+
+            return new FormSubmitter(endpoint, {
+                encoding: this.form.dataset.encoding,
+                locale: this.locale,
+                timeout: parseInt(this.form.dataset.timeout, 10) || undefined,
+                retries: this.form.dataset.retries !== undefined
+                    ? parseInt(this.form.dataset.retries, 10)
+                    : undefined,
+                uploadTimeout: parseInt(this.form.dataset.uploadTimeout, 10) || undefined
+            });
+        }
+
         init() {
             // Collect form fields
             const inputs = this.form.querySelectorAll('input, textarea, select');
 
-            inputs.forEach(input => {
-                if (input.name) {
-                    this.fields[input.name] = {
-                        element: input,
-                        rules: this.getValidationRules(input)
-                    };
-                }
+            this.form.querySelectorAll('input[type="file"][data-attachments]').forEach(input => {
+                this.attachments[input.name] = new AttachmentField(this, input);
             });
 
+            inputs.forEach(input => this.addField(input));
+
+            // Revalidate cross-field rules (matches, required-if) when the field they watch changes
+            this.form.addEventListener('change', (e) => this.revalidateDependents(e.target.name));
+
             // Form submit handler
             this.form.addEventListener('submit', (e) => this.handleSubmit(e));
 
-            // Real-time validation on blur
-            Object.values(this.fields).forEach(field => {
-                field.element.addEventListener('blur', () => {
-                    this.validateField(field);
-                });
+            this.initCategories();
+            this.initDraft();
+        }
+
+        /**
+         * Start validating a field. Safe to call again for a field that was
+         * removed; its listeners are only bound the first time.
+         */
+        addField(input) {
+            // The honeypot is checked by SpamGuard, never validated
+            if (!input.name || input.hasAttribute('data-honeypot')) return null;
+
+            let field = this.fieldRecords.get(input);
+
+            if (!field) {
+                const attachments = this.attachments[input.name];
+
+                field = {
+                    element: input,
+                    // The native value of an enhanced file input is always empty
+                    rules: attachments ? this.getAttachmentRules(input, attachments) : this.getValidationRules(input),
+                    // Looked up in the registry at validation time, so rules
+                    // registered after this form initialised still apply
+                    customRules: parseRules(input.dataset.rules),
+                    validated: false,
+                    validationId: 0
+                };
+                this.fieldRecords.set(input, field);
+
+                // AttachmentField clears its own errors; the picker blurs and
+                // fires input around every file dialog, which would wipe them
+                if (!attachments) {
+                    // Real-time validation on blur
+                    input.addEventListener('blur', () => {
+                        if (this.fields[input.name] === field) {
+                            this.validateField(field);
+                        }
+                    });
+
+                    // Clear error on input
+                    input.addEventListener('input', () => {
+                        this.clearFieldError(field);
+                    });
+                }
+            }
+
+            this.fields[input.name] = field;
+            return field;
+        }
+
+        // Stop validating a field and clear any error it is showing
+        removeField(name) {
+            const field = this.fields[name];
+            if (!field) return;
+
+            // Invalidate any async validation still in flight
+            field.validationId++;
+            field.validated = false;
+
+            this.clearFieldError(field);
+            delete this.fields[name];
+        }
 
-                // Clear error on input
-                field.element.addEventListener('input', () => {
-                    this.clearFieldError(field);
+        initCategories() {
+            const select = this.form.querySelector('[data-category-select]');
+            const groups = this.form.querySelectorAll('[data-category-fields]');
+
+            if (!select || groups.length === 0) return;
+
+            const update = () => {
+                groups.forEach(group => {
+                    const isActive = group.dataset.categoryFields.split(/\s+/).includes(select.value);
+
+                    group.hidden = !isActive;
+                    // Disabled controls are left out of FormData, so hidden fields aren't sent
+                    group.disabled = !isActive;
+
+                    group.querySelectorAll('input, textarea, select').forEach(input => {
+                        if (isActive) {
+                            this.addField(input);
+                        } else {
+                            this.removeField(input.name);
+                        }
+                    });
                 });
+            };
+
+            select.addEventListener('change', update);
+            update();
+        }
+
+        initDraft() {
+            if (!this.draft.enabled) return;
+
+            const draft = this.draft.load();
+            if (draft) {
+                this.showDraftPrompt(draft);
+            }
+
+            const onEdit = () => {
+                // Typing over a pending prompt means the old draft is unwanted
+                if (this.draftPrompt) {
+                    this.dismissDraftPrompt();
+                }
+                this.draft.scheduleSave();
+            };
+
+            this.form.addEventListener('input', onEdit);
+            this.form.addEventListener('change', (e) => {
+                if (e.isTrusted) onEdit();
+            });
+        }
+
+        showDraftPrompt(draft) {
+            const prompt = document.createElement('div');
+            prompt.className = 'form-draft-prompt';
+            prompt.setAttribute('role', 'status');
+
+            const text = document.createElement('p');
+            text.textContent = this.t('draftFound', {
+                time: new Date(draft.savedAt).toLocaleString(this.locale === 'kn' ? 'kn-IN' : 'en-IN', {
+                    dateStyle: 'medium',
+                    timeStyle: 'short'
+                })
             });
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn-secondary btn-sm';
+            restoreBtn.textContent = this.t('draftRestore');
+            restoreBtn.addEventListener('click', () => {
+                this.dismissDraftPrompt();
+                this.draft.apply(draft.values);
+
+                const firstField = Object.values(this.fields)[0];
+                if (firstField) firstField.element.focus();
+            });
+
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.className = 'btn btn-ghost btn-sm';
+            discardBtn.textContent = this.t('draftDiscard');
+            discardBtn.addEventListener('click', () => {
+                this.dismissDraftPrompt();
+                this.draft.clear();
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'form-draft-actions';
+            actions.append(restoreBtn, discardBtn);
+
+            prompt.append(text, actions);
+            this.form.insertBefore(prompt, this.form.firstChild);
+            this.draftPrompt = prompt;
+        }
+
+        dismissDraftPrompt() {
+            if (!this.draftPrompt) return;
+
+            this.draftPrompt.remove();
+            this.draftPrompt = null;
+        }
+
+        t(key, params) {
+            const template = this.messages[key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+            return interpolate(template, params);
+        }
+
+        // data-msg-<rule> on the field wins over the catalog
+        ruleMessage(input, type, params, fallback) {
+            const custom = input.dataset[`msg${pascalCase(type)}`];
+
+            if (custom) return interpolate(custom, params);
+            if (fallback) return fallback;
+
+            return this.t(type, params);
         }
 
         getValidationRules(input) {
@@ -53,7 +1161,7 @@
             if (input.required) {
                 rules.push({
                     test: (value) => value.trim() !== '',
-                    message: 'This field is required'
+                    message: this.ruleMessage(input, 'required')
                 });
             }
 
@@ -64,7 +1172,7 @@
                         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                         return emailRegex.test(value);
                     },
-                    message: 'Please enter a valid email address'
+                    message: this.ruleMessage(input, 'email')
                 });
             }
 
@@ -74,14 +1182,28 @@
                         if (!value) return true;
                         return value.length >= input.minLength;
                     },
-                    message: `Must be at least ${input.minLength} characters`
+                    message: this.ruleMessage(input, 'minlength', { min: input.minLength })
                 });
             }
 
             if (input.maxLength > 0 && input.maxLength < 524288) {
                 rules.push({
                     test: (value) => value.length <= input.maxLength,
-                    message: `Must be no more than ${input.maxLength} characters`
+                    message: this.ruleMessage(input, 'maxlength', { max: input.maxLength })
+                });
+            }
+
+            if (input.type === 'number' && input.min !== '') {
+                rules.push({
+                    test: (value) => value === '' || Number(value) >= Number(input.min),
+                    message: this.ruleMessage(input, 'min', { min: input.min })
+                });
+            }
+
+            if (input.type === 'number' && input.max !== '') {
+                rules.push({
+                    test: (value) => value === '' || Number(value) <= Number(input.max),
+                    message: this.ruleMessage(input, 'max', { max: input.max })
                 });
             }
 
@@ -89,40 +1211,141 @@
                 rules.push({
                     test: (value) => {
                         if (!value) return true;
-                        const regex = new RegExp(input.pattern);
+                        // Anchored, as the browser applies the pattern attribute
+                        const regex = new RegExp(`^(?:${input.pattern})$`);
                         return regex.test(value);
                     },
-                    message: input.title || 'Please match the required format'
+                    message: this.ruleMessage(input, 'pattern', {}, input.title)
                 });
             }
 
             return rules;
         }
 
-        validateField(field) {
-            const value = field.element.value;
+        getAttachmentRules(input, attachments) {
+            if (!input.required) return [];
 
+            return [{
+                test: () => attachments.files.length > 0,
+                message: this.ruleMessage(input, 'required')
+            }];
+        }
+
+        async validateField(field) {
+            const validationId = ++field.validationId;
+            field.validated = true;
+
+            const message = await this.findError(field, field.element.value);
+
+            // A newer validation of this field started while we were awaiting
+            if (validationId !== field.validationId) {
+                return !message;
+            }
+
+            if (message) {
+                this.showFieldError(field, message);
+                return false;
+            }
+
+            this.clearFieldError(field);
+            return true;
+        }
+
+        // Returns the first failing rule's message, or null
+        async findError(field, value) {
             for (const rule of field.rules) {
                 if (!rule.test(value)) {
-                    this.showFieldError(field, rule.message);
-                    return false;
+                    return rule.message;
                 }
             }
 
-            this.clearFieldError(field);
-            return true;
+            const context = {
+                element: field.element,
+                form: this.form,
+                validator: this,
+                valueOf: (name) => {
+                    const control = this.form.elements[name];
+                    return control ? control.value : '';
+                }
+            };
+
+            for (const { name, args } of field.customRules) {
+                const rule = ruleRegistry.get(name);
+
+                if (!rule) {
+                    reportUnknownRule(name, field.element);
+                    continue;
+                }
+
+                if (!rule.validateEmpty && value.trim() === '') continue;
+
+                let result;
+                try {
+                    result = await rule.test(value, args, context);
+                } catch (error) {
+                    // A broken rule can't vouch for the value; rules that may
+                    // fail for outside reasons (remote) decide for themselves
+                    result = false;
+                }
+
+                if (result !== true) {
+                    return this.customRuleMessage(field.element, name, rule, args, result);
+                }
+            }
+
+            return null;
+        }
+
+        customRuleMessage(input, name, rule, args, result) {
+            const params = Object.assign({}, args);
+
+            // Field attribute, then the rule's own string result, then the registry, then the catalog
+            if (input.dataset[`msg${pascalCase(name)}`]) {
+                return interpolate(input.dataset[`msg${pascalCase(name)}`], params);
+            }
+
+            if (typeof result === 'string') return result;
+
+            let message = rule.message;
+            if (message && typeof message === 'object') {
+                message = message[this.locale] || message[DEFAULT_LOCALE];
+            }
+
+            if (message) return interpolate(message, params);
+
+            return this.messages[name] || MESSAGES[DEFAULT_LOCALE][name]
+                ? this.t(name, params)
+                : this.t('invalid');
         }
 
-        validateAll() {
-            let isValid = true;
+        revalidateDependents(changedName) {
+            if (!changedName) return;
 
             Object.values(this.fields).forEach(field => {
-                if (!this.validateField(field)) {
-                    isValid = false;
+                if (!field.validated || field.element.name === changedName) return;
+
+                const watches = field.customRules.some(({ name, args }) => {
+                    const rule = ruleRegistry.get(name);
+                    return rule && rule.dependsOn && rule.dependsOn(args).includes(changedName);
+                });
+
+                if (watches) {
+                    this.validateField(field);
                 }
             });
+        }
 
-            return isValid;
+        async validateAll() {
+            // Skip anything hidden or disabled by other scripts, not just category groups
+            const activeFields = Object.values(this.fields).filter(field =>
+                !field.element.disabled && !field.element.closest('[hidden]')
+            );
+
+            const results = await Promise.all(
+                activeFields.map(field => this.validateField(field))
+            );
+
+            return results.every(Boolean);
         }
 
         showFieldError(field, message) {
@@ -170,29 +1393,152 @@
             input.removeAttribute('aria-describedby');
         }
 
-        handleSubmit(e) {
+        async handleSubmit(e) {
             e.preventDefault();
 
-            if (this.validateAll()) {
-                this.showSuccess();
+            if (this.isSubmitting || this.isValidating) return;
+
+            this.clearFormError();
+
+            // Async rules may take a moment; ignore repeat submits meanwhile
+            this.isValidating = true;
+            const isValid = await this.validateAll();
+            this.isValidating = false;
+
+            if (isValid) {
+                this.submit();
             } else {
-                // Focus first invalid field
-                const firstError = this.form.querySelector('.error');
-                if (firstError) {
-                    firstError.focus();
-                }
+                this.focusFirstError();
+            }
+        }
+
+        focusFirstError() {
+            const firstError = this.form.querySelector('.error');
+            if (firstError) {
+                firstError.focus();
             }
         }
 
-        showSuccess() {
+        async submit() {
+            if (!this.submitter) {
+                this.showFormError(this.t('notConfigured'));
+                return;
+            }
+
+            const verdict = this.guard.check();
+            if (!verdict.ok) {
+                this.showFormError(this.t(verdict.reason, verdict.params));
+                return;
+            }
+
+            this.setPending(true);
+
+            try {
+                const formData = new FormData(this.form);
+                const attachments = Object.values(this.attachments)
+                    .filter(attachment => !attachment.input.disabled);
+
+                attachments.forEach(attachment => attachment.appendTo(formData));
+                await this.guard.protect(formData);
+
+                const body = await this.submitter.send(formData, {
+                    onProgress: (fraction) => attachments.forEach(attachment => attachment.setProgress(fraction))
+                });
+
+                // Only delivered messages count; failures during an outage mustn't lock anyone out
+                this.guard.record();
+                this.draft.clear();
+                this.showSuccess(body && body.message);
+            } catch (error) {
+                this.handleSubmitError(error);
+            } finally {
+                Object.values(this.attachments).forEach(attachment => attachment.setProgress(null));
+                this.setPending(false);
+            }
+        }
+
+        handleSubmitError(error) {
+            const body = error.body || {};
+
+            // Map server-side field errors back onto the inputs
+            if (body.errors) {
+                Object.keys(body.errors).forEach(name => {
+                    const field = this.fields[name];
+                    if (field) {
+                        this.showFieldError(field, body.errors[name]);
+                    }
+                });
+            }
+
+            let message;
+            if (error.type === 'timeout') {
+                message = this.t('timeout');
+            } else if (error.type === 'network') {
+                message = this.t('network');
+            } else if (error.type === 'challenge') {
+                message = this.t('spamChallenge');
+            } else {
+                message = body.message || this.t('serverError');
+            }
+
+            this.showFormError(message);
+            this.focusFirstError();
+        }
+
+        setPending(isPending) {
+            this.isSubmitting = isPending;
+            this.form.classList.toggle('is-submitting', isPending);
+
+            if (isPending) {
+                this.form.setAttribute('aria-busy', 'true');
+            } else {
+                this.form.removeAttribute('aria-busy');
+            }
+
+            if (!this.submitButton) return;
+
+            this.submitButton.disabled = isPending;
+
+            if (isPending) {
+                this.submitButton.dataset.label = this.submitButton.textContent;
+                this.submitButton.textContent = this.submitButton.dataset.pendingLabel || this.t('sending');
+            } else if (this.submitButton.dataset.label) {
+                this.submitButton.textContent = this.submitButton.dataset.label;
+                delete this.submitButton.dataset.label;
+            }
+        }
+
+        showFormError(message) {
+            this.clearFormError();
+
+            const alertDiv = document.createElement('div');
+            alertDiv.className = 'form-alert form-alert-error';
+            alertDiv.setAttribute('role', 'alert');
+            alertDiv.textContent = message;
+
+            this.form.insertBefore(alertDiv, this.form.firstChild);
+        }
+
+        clearFormError() {
+            const existingAlert = this.form.querySelector('.form-alert');
+            if (existingAlert) {
+                existingAlert.remove();
+            }
+        }
+
+        showSuccess(message) {
             // Create success message
             const successDiv = document.createElement('div');
             successDiv.className = 'form-success';
             successDiv.setAttribute('role', 'alert');
-            successDiv.innerHTML = `
-                <strong>Thank you for your message!</strong>
-                <p>Your message has been received. We will get back to you soon.</p>
-            `;
+
+            const heading = document.createElement('strong');
+            heading.textContent = this.t('successTitle');
+
+            const text = document.createElement('p');
+            text.textContent = message || this.t('successMessage');
+
+            successDiv.append(heading, text);
 
             // Replace form with success message
             this.form.innerHTML = '';
@@ -204,6 +1550,13 @@
         }
     }
 
+    const instances = new WeakMap();
+
+    FormValidator.registerRule = registerRule;
+
+    // The validator attached to a form element, if any
+    FormValidator.for = (form) => instances.get(form) || null;
+
     // ========================================
     // Initialize Forms
     // ========================================
@@ -211,11 +1564,15 @@
     function initForms() {
         const forms = document.querySelectorAll('form[data-validate]');
 
-        forms.forEach(form => {
-            new FormValidator(form);
+        forms.forEach((form, index) => {
+            if (instances.has(form)) return;
+            instances.set(form, new FormValidator(form, index));
         });
     }
 
+    // Public API, e.g. for registering custom rules from page scripts
+    window.FormValidator = FormValidator;
+
     // ========================================
     // Initialize on DOM Ready
     // ========================================
@@ -0,0 +1,165 @@
+/**
+ * FORMAT.JS
+ * Number and Year Formatting - Kannada and Latin Digits, Indian Grouping
+ * and Year Ranges for Every Page Script
+ * Dr. M. R. Ravi, IAS Portfolio
+ */
+
+(function () {
+    'use strict';
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            range: '{from} – {to}',
+            present: 'Present'
+        },
+        kn: {
+            range: '{from} – {to}',
+            present: 'ಪ್ರಸ್ತುತ'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // ========================================
+    // Digits
+    // ========================================
+
+    const KANNADA_ZERO = 0x0CE6;
+    const KANNADA_DIGIT = /[\u0CE6-\u0CEF]/;
+    const KANNADA_DIGITS = /[\u0CE6-\u0CEF]/g;
+
+    // A number in Latin or Kannada digits, with optional grouping and decimals
+    const NUMBER = /[\d\u0CE6-\u0CEF][\d\u0CE6-\u0CEF,]*(?:\.[\d\u0CE6-\u0CEF]+)?/;
+    const YEAR = /(?:^|[^\d\u0CE6-\u0CEF])([12\u0CE7\u0CE8][\d\u0CE6-\u0CEF]{3})(?![\d\u0CE6-\u0CEF])/;
+
+    function toLatinDigits(text) {
+        return String(text).replace(KANNADA_DIGITS, digit => String(digit.charCodeAt(0) - KANNADA_ZERO));
+    }
+
+    /**
+     * The digits this page writes numbers in: 'knda' on Kannada pages when the
+     * site is built with native numerals (site.json "numerals", which
+     * build-site.js puts on <html data-numerals>), 'latn' everywhere else.
+     */
+    function numberingSystem() {
+        return currentLang() === 'kn' && document.documentElement.dataset.numerals === 'native' ? 'knda' : 'latn';
+    }
+
+    // ========================================
+    // Numbers
+    // ========================================
+
+    const formatters = new Map();
+
+    /**
+     * Formats a number for the page: Indian grouping (12,34,567) in both
+     * languages, in the page's digits. options are Intl.NumberFormat options;
+     * a numberingSystem among them wins over the page's.
+     *
+     * Kannada shares English's separators and percent sign, so only compact
+     * notation, which has words of its own (೧.೨ಮಿ), uses the kn-IN rules;
+     * kn-IN would otherwise group in thousands.
+     */
+    function formatNumber(value, options = {}) {
+        const locale = currentLang() === 'kn' && options.notation === 'compact' ? 'kn-IN' : 'en-IN';
+        const resolved = Object.assign({ numberingSystem: numberingSystem() }, options);
+        const key = locale + JSON.stringify(resolved);
+
+        if (!formatters.has(key)) {
+            formatters.set(key, new Intl.NumberFormat(locale, resolved));
+        }
+
+        return formatters.get(key).format(value);
+    }
+
+    /**
+     * Reads text such as "35+", "1,00,000", "1.2M", "₹2.5 Cr" or "೫೦೦+" into
+     * { prefix, value, decimals, grouping, digits, suffix }, or null when it
+     * has no number. prefix and suffix are whatever surrounds the number, as
+     * written; grouping is whether it was grouped (or is big enough to want
+     * it); digits is 'knda' when it was written in Kannada digits, otherwise
+     * null, meaning the page's.
+     */
+    function parseNumber(text) {
+        const source = String(text).trim();
+        const match = source.match(NUMBER);
+        if (!match) return null;
+
+        const latin = toLatinDigits(match[0]);
+        const value = Number(latin.replace(/,/g, ''));
+        if (!Number.isFinite(value)) return null;
+
+        return {
+            prefix: source.slice(0, match.index),
+            value,
+            decimals: (latin.split('.')[1] || '').length,
+            grouping: latin.includes(',') || value >= 10000,
+            digits: KANNADA_DIGIT.test(match[0]) ? 'knda' : null,
+            suffix: source.slice(match.index + match[0].length)
+        };
+    }
+
+    // A parsed number written back with another value, keeping its prefix, suffix and style
+    function formatParsed(parsed, value = parsed.value) {
+        const number = formatNumber(value, {
+            minimumFractionDigits: parsed.decimals,
+            maximumFractionDigits: parsed.decimals,
+            useGrouping: parsed.grouping,
+            numberingSystem: parsed.digits || numberingSystem()
+        });
+
+        return parsed.prefix + number + parsed.suffix;
+    }
+
+    // ========================================
+    // Years
+    // ========================================
+
+    // The first four-digit year in some text, in either script ("Since ೨೦೧೯" → 2019)
+    function parseYear(text) {
+        const match = String(text || '').match(YEAR);
+        return match ? Number(toLatinDigits(match[1])) : null;
+    }
+
+    function formatYear(year) {
+        return formatNumber(Number(year), { useGrouping: false });
+    }
+
+    /**
+     * "2016 – 2020", "2020 – Present" when there's no end, or just "2020"
+     * when it starts and ends in the same year.
+     */
+    function formatYearRange(from, to) {
+        const open = to === null || to === undefined || to === '';
+        if (!open && Number(to) === Number(from)) return formatYear(from);
+
+        return t('range', {
+            from: formatYear(from),
+            to: open ? t('present') : formatYear(to)
+        });
+    }
+
+    window.SiteFormat = {
+        numberingSystem,
+        toLatinDigits,
+        formatNumber,
+        parseNumber,
+        formatParsed,
+        parseYear,
+        formatYear,
+        formatYearRange
+    };
+
+})();
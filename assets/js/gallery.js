@@ -8,17 +8,129 @@
     'use strict';
 
     // ========================================
-    // Lightbox Component
+    // Messages
     // ========================================
 
-    class Lightbox {
+    const MESSAGES = {
+        en: {
+            dialog: 'Image viewer',
+            close: 'Close image viewer',
+            prev: 'Previous image',
+            next: 'Next image',
+            position: 'Image {index} of {total}',
+            noDescription: 'No description',
+            view: 'View {alt} in lightbox',
+            image: 'image',
+            hint: 'Use the left and right arrow keys to move between images and + or - to zoom. While zoomed, the arrow keys pan the image. Press P to start or pause the slideshow and Escape to close.',
+            zoom: 'Zoom {percent}%',
+            all: 'All',
+            loadMore: 'Load more photos',
+            showing: 'Showing {shown} of {total} photos',
+            loadError: 'The photo gallery could not be loaded. Please try again later.',
+            play: 'Start slideshow',
+            pause: 'Pause slideshow',
+            slideshowStarted: 'Slideshow started, {seconds} seconds per photo',
+            slideshowPaused: 'Slideshow paused',
+            credit: 'Photo: {credit}'
+        },
+        kn: {
+            dialog: 'ಚಿತ್ರ ವೀಕ್ಷಕ',
+            close: 'ಚಿತ್ರ ವೀಕ್ಷಕ ಮುಚ್ಚಿ',
+            prev: 'ಹಿಂದಿನ ಚಿತ್ರ',
+            next: 'ಮುಂದಿನ ಚಿತ್ರ',
+            position: 'ಚಿತ್ರ {index} / {total}',
+            noDescription: 'ವಿವರಣೆ ಇಲ್ಲ',
+            view: '{alt} ದೊಡ್ಡದಾಗಿ ನೋಡಿ',
+            image: 'ಚಿತ್ರ',
+            hint: 'ಚಿತ್ರಗಳ ನಡುವೆ ಚಲಿಸಲು ಎಡ ಮತ್ತು ಬಲ ಬಾಣದ ಕೀಲಿಗಳನ್ನು, ಜೂಮ್ ಮಾಡಲು + ಅಥವಾ - ಕೀಲಿಯನ್ನು ಬಳಸಿ. ಜೂಮ್ ಮಾಡಿದಾಗ ಬಾಣದ ಕೀಲಿಗಳು ಚಿತ್ರವನ್ನು ಸರಿಸುತ್ತವೆ. ಸ್ಲೈಡ್‌ಶೋ ಪ್ರಾರಂಭಿಸಲು ಅಥವಾ ನಿಲ್ಲಿಸಲು P, ಮುಚ್ಚಲು Escape ಒತ್ತಿ.',
+            zoom: 'ಜೂಮ್ {percent}%',
+            all: 'ಎಲ್ಲಾ',
+            loadMore: 'ಇನ್ನಷ್ಟು ಫೋಟೋಗಳು',
+            showing: '{total} ರಲ್ಲಿ {shown} ಫೋಟೋಗಳನ್ನು ತೋರಿಸಲಾಗಿದೆ',
+            loadError: 'ಫೋಟೋ ಗ್ಯಾಲರಿಯನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+            play: 'ಸ್ಲೈಡ್‌ಶೋ ಪ್ರಾರಂಭಿಸಿ',
+            pause: 'ಸ್ಲೈಡ್‌ಶೋ ನಿಲ್ಲಿಸಿ',
+            slideshowStarted: 'ಸ್ಲೈಡ್‌ಶೋ ಪ್ರಾರಂಭವಾಗಿದೆ, ಪ್ರತಿ ಫೋಟೋಗೆ {seconds} ಸೆಕೆಂಡುಗಳು',
+            slideshowPaused: 'ಸ್ಲೈಡ್‌ಶೋ ನಿಲ್ಲಿಸಲಾಗಿದೆ',
+            credit: 'ಚಿತ್ರ: {credit}'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // "2023-10-10" (or "2023-10", "2023") in the page language
+    function formatDate(iso) {
+        const [year, month, day] = String(iso).split('-').map(Number);
+        if (!year) return '';
+
+        const options = { year: 'numeric' };
+        if (month) options.month = 'long';
+        if (day) options.day = 'numeric';
+
+        const locale = currentLang() === 'kn' ? 'kn-IN' : 'en-IN';
+        return new Intl.DateTimeFormat(locale, options).format(new Date(year, (month || 1) - 1, day || 1));
+    }
+
+    // Picks the page language from a manifest { en, kn } value, falling back to English
+    function localized(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return value;
+        return value[currentLang()] || value.en || '';
+    }
+
+    // ========================================
+    // Event Emitter
+    // ========================================
+
+    class Emitter {
         constructor() {
+            this.listeners = {};
+        }
+
+        on(type, handler) {
+            (this.listeners[type] = this.listeners[type] || []).push(handler);
+            return this;
+        }
+
+        off(type, handler) {
+            this.listeners[type] = (this.listeners[type] || []).filter(fn => fn !== handler);
+            return this;
+        }
+
+        emit(type, detail) {
+            (this.listeners[type] || []).forEach(fn => fn(detail));
+        }
+    }
+
+    // ========================================
+    // Lightbox Component
+    // ========================================
+
+    // Matches .lightbox-content's max-width
+    const LIGHTBOX_SIZES = 'min(90vw, 1100px)';
+
+    class Lightbox extends Emitter {
+        /**
+         * options.interval  Slideshow delay in ms (default 5000)
+         * options.autoplay  Start the slideshow whenever the lightbox opens
+         */
+        constructor(options = {}) {
+            super();
             this.images = [];
             this.currentIndex = 0;
             this.isOpen = false;
             this.focusedElementBeforeOpen = null;
 
             this.createLightbox();
+            this.gestures = new LightboxGestures(this);
+            this.slideshow = new Slideshow(this, options);
             this.bindEvents();
         }
 
@@ -29,20 +141,29 @@
             lightbox.id = 'lightbox';
             lightbox.setAttribute('role', 'dialog');
             lightbox.setAttribute('aria-modal', 'true');
-            lightbox.setAttribute('aria-label', 'Image lightbox');
+            lightbox.setAttribute('aria-label', t('dialog'));
+            lightbox.setAttribute('aria-describedby', 'lightbox-hint');
 
             lightbox.innerHTML = `
-                <button class="lightbox-close" aria-label="Close lightbox">
+                <div class="lightbox-progress" aria-hidden="true">
+                    <span class="lightbox-progress-bar"></span>
+                </div>
+                <button class="lightbox-close" aria-label="${t('close')}">
                     <span aria-hidden="true">&times;</span>
                 </button>
-                <button class="lightbox-nav lightbox-prev" aria-label="Previous image">
+                <button class="lightbox-play" aria-label="${t('play')}">
+                    <span class="lightbox-play-icon" aria-hidden="true"></span>
+                </button>
+                <button class="lightbox-nav lightbox-prev" aria-label="${t('prev')}">
                     <span aria-hidden="true">&#8249;</span>
                 </button>
                 <div class="lightbox-content">
-                    <img class="lightbox-image" src="" alt="" />
-                    <p class="lightbox-caption sr-only"></p>
+                    <img class="lightbox-image" src="" alt="" draggable="false" />
+                    <p class="lightbox-caption"></p>
+                    <p class="lightbox-meta"></p>
                 </div>
-                <button class="lightbox-nav lightbox-next" aria-label="Next image">
+                <p class="sr-only" id="lightbox-hint">${t('hint')}</p>
+                <button class="lightbox-nav lightbox-next" aria-label="${t('next')}">
                     <span aria-hidden="true">&#8250;</span>
                 </button>
             `;
@@ -53,7 +174,10 @@
             this.lightbox = lightbox;
             this.lightboxImage = lightbox.querySelector('.lightbox-image');
             this.lightboxCaption = lightbox.querySelector('.lightbox-caption');
+            this.lightboxMeta = lightbox.querySelector('.lightbox-meta');
+            this.progressBar = lightbox.querySelector('.lightbox-progress-bar');
             this.closeBtn = lightbox.querySelector('.lightbox-close');
+            this.playBtn = lightbox.querySelector('.lightbox-play');
             this.prevBtn = lightbox.querySelector('.lightbox-prev');
             this.nextBtn = lightbox.querySelector('.lightbox-next');
 
@@ -69,8 +193,10 @@
             this.prevBtn.addEventListener('click', () => this.prev());
             this.nextBtn.addEventListener('click', () => this.next());
 
-            // Click outside to close
+            // Click outside to close (but not at the end of a swipe or pinch)
             this.lightbox.addEventListener('click', (e) => {
+                if (this.gestures.consumeClick()) return;
+
                 if (e.target === this.lightbox) {
                     this.close();
                 }
@@ -83,6 +209,9 @@
         handleKeydown(e) {
             if (!this.isOpen) return;
 
+            // Zoom keys, and arrow keys while zoomed
+            if (this.gestures.handleKeydown(e)) return;
+
             switch (e.key) {
                 case 'Escape':
                     e.preventDefault();
@@ -96,6 +225,11 @@
                     e.preventDefault();
                     this.next();
                     break;
+                case 'p':
+                case 'P':
+                    e.preventDefault();
+                    this.slideshow.toggle();
+                    break;
                 case 'Tab':
                     this.trapFocus(e);
                     break;
@@ -128,13 +262,13 @@
             // Store current focus
             this.focusedElementBeforeOpen = document.activeElement;
 
-            // Update image
-            this.updateImage();
-
             // Show lightbox
             this.lightbox.classList.add('active');
             this.isOpen = true;
 
+            // Update image
+            this.updateImage();
+
             // Prevent body scroll
             document.body.style.overflow = 'hidden';
 
@@ -143,11 +277,20 @@
 
             // Update nav visibility
             this.updateNavVisibility();
+
+            // After focus has moved, so the slideshow doesn't treat it as the visitor taking over
+            this.slideshow.handleOpen();
+
+            this.emit('open', { index: this.currentIndex, image: this.images[this.currentIndex] });
         }
 
         close() {
+            if (!this.isOpen) return;
+
             this.lightbox.classList.remove('active');
             this.isOpen = false;
+            this.gestures.reset();
+            this.slideshow.pause(false);
 
             // Restore body scroll
             document.body.style.overflow = '';
@@ -156,6 +299,8 @@
             if (this.focusedElementBeforeOpen) {
                 this.focusedElementBeforeOpen.focus();
             }
+
+            this.emit('close');
         }
 
         prev() {
@@ -165,31 +310,71 @@
             this.updateImage();
         }
 
-        next() {
+        // silent: skip the screen-reader announcement (used while the slideshow runs)
+        next(silent = false) {
             if (this.images.length <= 1) return;
 
             this.currentIndex = (this.currentIndex + 1) % this.images.length;
-            this.updateImage();
+            this.updateImage(silent);
         }
 
-        updateImage() {
+        updateImage(silent = false) {
             const image = this.images[this.currentIndex];
 
             if (!image) return;
 
+            this.gestures.reset();
+            // Set srcset first so the browser doesn't fetch src only to replace it
+            if (image.srcset) {
+                this.lightboxImage.srcset = image.srcset;
+                this.lightboxImage.sizes = LIGHTBOX_SIZES;
+            } else {
+                this.lightboxImage.removeAttribute('srcset');
+                this.lightboxImage.removeAttribute('sizes');
+            }
             this.lightboxImage.src = image.src;
-            this.lightboxImage.alt = image.alt || `Image ${this.currentIndex + 1} of ${this.images.length}`;
-            this.lightboxCaption.textContent = image.alt || '';
+            const position = t('position', { index: this.currentIndex + 1, total: this.images.length });
+            this.lightboxImage.alt = image.alt || position;
+            this.lightboxCaption.textContent = image.caption || image.alt || '';
+
+            const meta = [
+                image.date ? formatDate(image.date) : '',
+                image.location || '',
+                image.credit ? t('credit', { credit: image.credit }) : ''
+            ].filter(Boolean).join(' · ');
+            this.lightboxMeta.textContent = meta;
+            this.lightboxMeta.hidden = !meta;
+
+            this.preloadNext();
+            this.slideshow.restart();
 
             // Announce to screen readers
-            this.announce(`Image ${this.currentIndex + 1} of ${this.images.length}: ${image.alt || 'No description'}`);
+            if (!silent) {
+                this.announce(`${position}: ${image.alt || t('noDescription')}`);
+            }
+
+            this.emit('change', { index: this.currentIndex, image });
+        }
+
+        // Warm the cache so the next slide appears without a gap
+        preloadNext() {
+            if (this.images.length <= 1) return;
+
+            const upcoming = this.images[(this.currentIndex + 1) % this.images.length];
+            this.preloaded = new Image();
+            if (upcoming.srcset) {
+                this.preloaded.sizes = LIGHTBOX_SIZES;
+                this.preloaded.srcset = upcoming.srcset;
+            }
+            this.preloaded.src = upcoming.src;
         }
 
         updateNavVisibility() {
-            // Hide nav buttons if only one image
+            // Hide nav and slideshow buttons if only one image
             const hidden = this.images.length <= 1;
             this.prevBtn.style.display = hidden ? 'none' : 'flex';
             this.nextBtn.style.display = hidden ? 'none' : 'flex';
+            this.playBtn.style.display = hidden ? 'none' : 'flex';
         }
 
         announce(message) {
@@ -209,94 +394,1062 @@
     }
 
     // ========================================
-    // Gallery Initialization
+    // Lightbox Gestures & Zoom
     // ========================================
 
-    function initGallery() {
-        const galleryGrid = document.querySelector('.gallery-grid');
+    const MAX_SCALE = 4;
+    const DOUBLE_TAP_SCALE = 2.5;
+    const KEY_ZOOM_STEP = 1.5;
+    const KEY_PAN_STEP = 60;        // px
+    const SWIPE_THRESHOLD = 50;     // px
+    const TAP_SLOP = 10;            // px a tap may drift
+    const DOUBLE_TAP_DELAY = 300;   // ms
 
-        if (!galleryGrid) return;
+    /**
+     * Pointer-event swipe, pinch/double-tap zoom and pan for a Lightbox.
+     * Swipe left/right navigates, swipe down closes; once zoomed, dragging pans.
+     */
+    class LightboxGestures {
+        constructor(lightbox) {
+            this.lightbox = lightbox;
+            this.surface = lightbox.lightbox;
+            this.image = lightbox.lightboxImage;
 
-        const lightbox = new Lightbox();
-        const galleryItems = galleryGrid.querySelectorAll('.gallery-item');
+            this.pointers = new Map();
+            this.gesture = null;
+            this.lastTap = null;
+            this.suppressClick = false;
 
-        // Collect all images
-        const images = [];
+            this.scale = 1;
+            this.x = 0;
+            this.y = 0;
 
-        galleryItems.forEach((item, index) => {
-            const img = item.querySelector('img');
+            this.bindEvents();
+        }
 
-            if (!img) return;
+        bindEvents() {
+            this.surface.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            this.surface.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            this.surface.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            this.surface.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        }
 
-            images.push({
-                src: img.dataset.fullsize || img.src,
-                alt: img.alt
-            });
+        handlePointerDown(e) {
+            if (e.button !== 0 || e.target.closest('button')) return;
 
-            // Make item focusable
-            item.setAttribute('tabindex', '0');
-            item.setAttribute('role', 'button');
-            item.setAttribute('aria-label', `View ${img.alt || 'image'} in lightbox`);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
 
-            // Click handler
-            item.addEventListener('click', () => {
-                lightbox.open(images, index);
-            });
+            if (this.pointers.size === 1) {
+                this.startDrag(e.clientX, e.clientY, false);
+            } else if (this.pointers.size === 2) {
+                const [a, b] = Array.from(this.pointers.values());
+                this.gesture = {
+                    type: 'pinch',
+                    startDistance: distance(a, b) || 1,
+                    startScale: this.scale
+                };
+                this.pointers.forEach((p, id) => this.capture(id));
+                this.setDragging(true);
+            }
+        }
+
+        startDrag(x, y, moved) {
+            this.gesture = {
+                type: 'drag',
+                startX: x,
+                startY: y,
+                originX: this.x,
+                originY: this.y,
+                moved
+            };
+        }
+
+        handlePointerMove(e) {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch') {
+                const [a, b] = Array.from(this.pointers.values());
+                const scale = this.gesture.startScale * distance(a, b) / this.gesture.startDistance;
+                this.zoomTo(scale, (a.x + b.x) / 2, (a.y + b.y) / 2);
+                return;
+            }
+
+            const dx = e.clientX - this.gesture.startX;
+            const dy = e.clientY - this.gesture.startY;
+
+            if (!this.gesture.moved && Math.hypot(dx, dy) < TAP_SLOP) return;
+
+            if (!this.gesture.moved) {
+                this.gesture.moved = true;
+                this.capture(e.pointerId);
+                this.setDragging(true);
+            }
+
+            if (this.scale > 1) {
+                this.x = this.gesture.originX + dx;
+                this.y = this.gesture.originY + dy;
+                this.apply();
+            } else {
+                // Follow the finger so the swipe feels attached; only downward drags fade
+                const down = Math.max(dy, 0);
+                this.image.style.transform = `translate(${dx}px, ${down}px)`;
+                this.image.style.opacity = Math.max(1 - down / 400, 0.4);
+            }
+        }
+
+        // Captured only once a drag starts, so a plain tap still clicks what it landed on
+        capture(pointerId) {
+            if (this.surface.setPointerCapture) {
+                this.surface.setPointerCapture(pointerId);
+            }
+        }
+
+        handlePointerUp(e) {
+            if (!this.pointers.has(e.pointerId)) return;
+
+            this.pointers.delete(e.pointerId);
+            const gesture = this.gesture;
+
+            if (!gesture) return;
+
+            if (gesture.type === 'pinch') {
+                this.suppressClick = true;
+
+                if (this.scale < 1.05) this.reset();
+                this.announceZoom();
+
+                // Keep panning with the finger that's still down
+                if (this.pointers.size === 1) {
+                    const [p] = Array.from(this.pointers.values());
+                    this.startDrag(p.x, p.y, true);
+                } else {
+                    this.gesture = null;
+                    this.setDragging(false);
+                }
+                return;
+            }
+
+            if (this.pointers.size > 0) return;
+
+            this.gesture = null;
+            this.setDragging(false);
+
+            if (e.type === 'pointercancel') {
+                this.apply();
+                return;
+            }
+
+            if (!gesture.moved) {
+                this.handleTap(e);
+                return;
+            }
+
+            this.suppressClick = true;
+
+            if (this.scale > 1) return;
+
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+
+            if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.lightbox.next();
+                } else {
+                    this.lightbox.prev();
+                }
+            } else if (dy > SWIPE_THRESHOLD && dy > Math.abs(dx)) {
+                this.lightbox.close();
+            }
 
-            // Keyboard handler
-            item.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+            // Snap back (or clear the drag styles after navigating)
+            this.apply();
+        }
+
+        handleTap(e) {
+            const now = Date.now();
+            const tap = { time: now, x: e.clientX, y: e.clientY };
+            const last = this.lastTap;
+
+            if (last && now - last.time < DOUBLE_TAP_DELAY && distance(last, tap) < TAP_SLOP * 2 && e.target === this.image) {
+                this.lastTap = null;
+                this.suppressClick = true;
+
+                if (this.scale > 1) {
+                    this.reset();
+                } else {
+                    this.zoomTo(DOUBLE_TAP_SCALE, tap.x, tap.y);
+                }
+                this.announceZoom();
+                return;
+            }
+
+            this.lastTap = tap;
+        }
+
+        // True when the click that follows a gesture should be ignored
+        consumeClick() {
+            const suppress = this.suppressClick;
+            this.suppressClick = false;
+            return suppress;
+        }
+
+        /**
+         * Handles +/- zoom, 0 to reset and arrow-key panning while zoomed.
+         * Returns true if the key was used.
+         */
+        handleKeydown(e) {
+            if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+            switch (e.key) {
+                case '+':
+                case '=':
+                    this.zoomTo(this.scale * KEY_ZOOM_STEP);
+                    break;
+                case '-':
+                case '_':
+                    this.zoomTo(this.scale / KEY_ZOOM_STEP);
+                    break;
+                case '0':
+                    if (this.scale === 1) return false;
+                    this.reset();
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    if (this.scale === 1) return false;
+                    this.panByKey(e.key);
                     e.preventDefault();
-                    lightbox.open(images, index);
+                    return true;
+                default:
+                    return false;
+            }
+
+            e.preventDefault();
+            this.announceZoom();
+            return true;
+        }
+
+        panByKey(key) {
+            // Arrow shows more of the image in that direction, so the image moves the other way
+            const moves = {
+                ArrowLeft: [KEY_PAN_STEP, 0],
+                ArrowRight: [-KEY_PAN_STEP, 0],
+                ArrowUp: [0, KEY_PAN_STEP],
+                ArrowDown: [0, -KEY_PAN_STEP]
+            };
+
+            this.x += moves[key][0];
+            this.y += moves[key][1];
+            this.apply();
+        }
+
+        /**
+         * Zoom so the screen point (originX, originY) stays under the pointer.
+         * Defaults to the centre of the image.
+         */
+        zoomTo(scale, originX, originY) {
+            const next = Math.min(Math.max(scale, 1), MAX_SCALE);
+            const rect = this.image.getBoundingClientRect();
+
+            // Untransformed centre of the image (scaling is about the centre, so only x/y move it)
+            const centerX = rect.left + rect.width / 2 - this.x;
+            const centerY = rect.top + rect.height / 2 - this.y;
+            const px = originX === undefined ? centerX + this.x : originX;
+            const py = originY === undefined ? centerY + this.y : originY;
+            const ratio = next / this.scale;
+
+            this.x = px - centerX - ratio * (px - centerX - this.x);
+            this.y = py - centerY - ratio * (py - centerY - this.y);
+            this.scale = next;
+
+            this.apply();
+        }
+
+        reset() {
+            this.scale = 1;
+            this.x = 0;
+            this.y = 0;
+            this.lastTap = null;
+            this.apply();
+        }
+
+        apply() {
+            if (this.scale === 1) {
+                this.x = 0;
+                this.y = 0;
+            } else {
+                // Don't let the image be dragged past its own edges
+                const maxX = this.image.offsetWidth * (this.scale - 1) / 2;
+                const maxY = this.image.offsetHeight * (this.scale - 1) / 2;
+                this.x = Math.min(Math.max(this.x, -maxX), maxX);
+                this.y = Math.min(Math.max(this.y, -maxY), maxY);
+            }
+
+            this.image.style.transform = this.scale === 1 ? '' : `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+            this.image.style.opacity = '';
+            this.surface.classList.toggle('is-zoomed', this.scale > 1);
+        }
+
+        setDragging(isDragging) {
+            this.surface.classList.toggle('is-dragging', isDragging);
+        }
+
+        announceZoom() {
+            this.lightbox.announce(t('zoom', { percent: Math.round(this.scale * 100) }));
+        }
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // ========================================
+    // Lightbox Slideshow
+    // ========================================
+
+    const DEFAULT_INTERVAL = 5000;
+
+    /**
+     * Timed advance for a Lightbox with a progress bar.
+     * Hovering the image or hiding the tab suspends the timer until it ends;
+     * moving keyboard focus to another control stops the slideshow outright.
+     * Slides advance silently; only start and pause are announced.
+     */
+    class Slideshow {
+        constructor(lightbox, options = {}) {
+            this.lightbox = lightbox;
+            this.button = lightbox.playBtn;
+            this.bar = lightbox.progressBar;
+            this.interval = options.interval || DEFAULT_INTERVAL;
+            this.autoplay = Boolean(options.autoplay);
+            this.reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
+
+            this.playing = false;
+            this.suspended = new Set();
+            this.timer = null;
+            this.elapsed = 0;
+            this.startedAt = 0;
+
+            this.bindEvents();
+        }
+
+        bindEvents() {
+            const content = this.lightbox.lightbox.querySelector('.lightbox-content');
+
+            this.button.addEventListener('click', () => this.toggle());
+
+            content.addEventListener('pointerenter', (e) => {
+                if (e.pointerType === 'mouse') this.suspend('hover');
+            });
+            content.addEventListener('pointerleave', () => this.resume('hover'));
+
+            this.lightbox.lightbox.addEventListener('focusin', (e) => {
+                if (this.playing && e.target !== this.button) this.pause();
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.suspend('hidden');
+                } else {
+                    this.resume('hidden');
                 }
             });
-        });
+        }
+
+        // Autoplay never starts by itself for visitors who prefer reduced motion
+        handleOpen() {
+            if (this.autoplay && !(this.reducedMotion && this.reducedMotion.matches)) {
+                this.play();
+            }
+        }
+
+        toggle() {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+
+        play() {
+            if (this.playing || this.lightbox.images.length <= 1) return;
+
+            this.playing = true;
+            this.elapsed = 0;
+            this.updateButton();
+            this.lightbox.announce(t('slideshowStarted', { seconds: Math.round(this.interval / 100) / 10 }));
+            this.run();
+        }
+
+        pause(announce = true) {
+            if (!this.playing) return;
+
+            this.playing = false;
+            this.stopTimer();
+            this.elapsed = 0;
+            this.renderProgress(0, 0);
+            this.updateButton();
+
+            if (announce) {
+                this.lightbox.announce(t('slideshowPaused'));
+            }
+        }
+
+        // Start the current slide's countdown from zero (after any manual navigation)
+        restart() {
+            if (!this.playing) return;
+
+            this.stopTimer();
+            this.elapsed = 0;
+            this.run();
+        }
+
+        suspend(reason) {
+            if (this.timer !== null) {
+                this.elapsed += Date.now() - this.startedAt;
+                this.stopTimer();
+                this.renderProgress(this.elapsed / this.interval, 0);
+            }
+
+            this.suspended.add(reason);
+        }
+
+        resume(reason) {
+            if (this.suspended.delete(reason)) {
+                this.run();
+            }
+        }
+
+        run() {
+            if (!this.playing || this.suspended.size > 0 || this.timer !== null) return;
+
+            const remaining = Math.max(this.interval - this.elapsed, 0);
+            this.startedAt = Date.now();
+
+            // Jump to where the bar was, then let it fill over the remaining time
+            this.renderProgress(this.elapsed / this.interval, 0);
+            this.bar.getBoundingClientRect();
+            this.renderProgress(1, remaining);
+
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.lightbox.next(true);
+            }, remaining);
+        }
+
+        stopTimer() {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        renderProgress(fraction, duration) {
+            this.bar.style.transition = duration ? `transform ${duration}ms linear` : 'none';
+            this.bar.style.transform = `scaleX(${fraction})`;
+        }
+
+        updateButton() {
+            this.button.setAttribute('aria-label', t(this.playing ? 'pause' : 'play'));
+            this.lightbox.lightbox.classList.toggle('is-playing', this.playing);
+        }
     }
 
     // ========================================
-    // Gallery Filters (Optional)
+    // Gallery Controller
     // ========================================
 
-    function initGalleryFilters() {
-        const filterButtons = document.querySelectorAll('.gallery-filter');
-        const galleryItems = document.querySelectorAll('.gallery-item');
+    const DEFAULT_PAGE_SIZE = 12;
+
+    // Matches the 3 → 2 → 1 column .gallery-grid
+    const THUMBNAIL_SIZES = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, 420px';
+
+    /**
+     * Renders a .gallery-grid from its JSON manifest and owns filtering,
+     * incremental loading and the lightbox. Lightbox navigation only walks
+     * the items currently shown.
+     *
+     * Grid attributes:
+     *   data-manifest            Manifest URL; image paths in it resolve against this URL
+     *   data-image-manifest      Optional responsive image manifest from tools/build-images.js
+     *   data-page-size           Photos revealed per page (default 12)
+     *   data-infinite-scroll     Reveal the next page when "Load more" scrolls into view
+     *   data-slideshow-interval  Lightbox slideshow delay in ms (default 5000)
+     *   data-slideshow-autoplay  Start the slideshow whenever a photo is opened
+     *   data-history="off"       Don't mirror the state in the URL hash
+     *
+     * Manifest shape:
+     *   { categories: [{ id, label, badge }],
+     *     photos: [{ id, category, thumbnail, fullsize, title, caption, alt, date, location, credit }] }
+     * Text fields are { en, kn } objects; date is YYYY-MM-DD; any of date/location/credit may be null.
+     *
+     * Public API (via Gallery.for(grid)):
+     *   ready             Promise that settles once the manifest has rendered
+     *   open(target)      Open by visible index, photo id or .gallery-item
+     *   filter(category)  Show one category, or 'all'
+     *   loadMore()        Reveal the next page
+     *   on('change', fn)  fn({ filter, photo, index }) after any filter or lightbox change
+     */
+    class Gallery extends Emitter {
+        constructor(grid, options = {}) {
+            super();
+            this.grid = grid;
+            this.filterContainer = options.filters || document.querySelector('.gallery-filters');
+            this.lightbox = options.lightbox || new Lightbox({
+                interval: parseInt(grid.dataset.slideshowInterval, 10) || undefined,
+                autoplay: grid.hasAttribute('data-slideshow-autoplay')
+            });
+            this.manifestUrl = new URL(grid.dataset.manifest, document.baseURI);
+            this.imageManifestUrl = grid.dataset.imageManifest ? new URL(grid.dataset.imageManifest, document.baseURI) : null;
+            this.imageManifest = null;
+            this.pageSize = parseInt(grid.dataset.pageSize, 10) || DEFAULT_PAGE_SIZE;
+            this.currentFilter = 'all';
+            this.limit = this.pageSize;
+            this.categories = [];
+            this.photos = [];
+            this.elements = new Map();
+            this.items = [];
+
+            this.ready = this.init();
+        }
+
+        async init() {
+            this.bindEvents();
+            this.createControls();
 
-        if (filterButtons.length === 0) return;
+            // Optional: without it the gallery uses the manifest paths as they are
+            const imageManifest = this.loadImageManifest();
 
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const filter = button.dataset.filter;
+            try {
+                const manifest = await this.loadManifest();
+                this.imageManifest = await imageManifest;
+                this.photos = (manifest.photos || [])
+                    .filter(photo => photo.id && photo.category && photo.thumbnail)
+                    .map((photo, index) => Object.assign({}, photo, {
+                        index,
+                        thumbnail: this.resolve(photo.thumbnail),
+                        fullsize: this.resolve(photo.fullsize || photo.thumbnail)
+                    }));
+                this.categories = (manifest.categories || [])
+                    .filter(category => this.photos.some(photo => photo.category === category.id));
+            } catch (error) {
+                this.showLoadError();
+                return;
+            }
 
-                // Update active state
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
+            this.renderFilters();
+            this.update();
+        }
 
-                // Filter items
-                galleryItems.forEach(item => {
-                    const category = item.dataset.category;
+        async loadManifest() {
+            const response = await fetch(this.manifestUrl, { headers: { 'Accept': 'application/json' } });
 
-                    if (filter === 'all' || category === filter) {
-                        item.style.display = '';
-                    } else {
-                        item.style.display = 'none';
+            if (!response.ok) {
+                throw new Error(`Gallery manifest request failed (${response.status})`);
+            }
+
+            return response.json();
+        }
+
+        resolve(path) {
+            return new URL(path, this.manifestUrl).href;
+        }
+
+        async loadImageManifest() {
+            if (!this.imageManifestUrl) return null;
+
+            try {
+                const response = await fetch(this.imageManifestUrl, { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) return null;
+
+                const manifest = await response.json();
+                manifest.baseUrl = new URL(manifest.base || '', this.imageManifestUrl).href;
+                return manifest;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Variants for an image URL from the responsive image manifest:
+         * { width, height, placeholder, src, srcset: { avif, webp, jpeg }, largest }
+         * or null when the image hasn't been processed.
+         */
+        responsiveImage(url) {
+            const manifest = this.imageManifest;
+            if (!manifest || !url.startsWith(manifest.baseUrl)) return null;
+
+            const entry = manifest.images[decodeURI(url.slice(manifest.baseUrl.length))];
+            if (!entry) return null;
+
+            const resolve = (variant) => new URL(variant.src, manifest.baseUrl).href;
+            const srcset = {};
+            Object.keys(entry.sources).forEach(format => {
+                srcset[format] = entry.sources[format].map(variant => `${resolve(variant)} ${variant.width}w`).join(', ');
+            });
+
+            const jpeg = entry.sources.jpeg;
+            const fallback = jpeg.find(variant => variant.width >= 960) || jpeg[jpeg.length - 1];
+
+            return {
+                width: entry.width,
+                height: entry.height,
+                placeholder: entry.placeholder,
+                src: resolve(fallback),
+                srcset,
+                largest: resolve(jpeg[jpeg.length - 1])
+            };
+        }
+
+        bindEvents() {
+            // Delegated, so rendered items need no extra wiring
+            this.grid.addEventListener('click', (e) => {
+                const item = e.target.closest('.gallery-item');
+                if (item && this.grid.contains(item)) {
+                    this.open(item);
+                }
+            });
+
+            this.grid.addEventListener('keydown', (e) => {
+                const item = e.target.closest('.gallery-item');
+                if (item && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.open(item);
+                }
+            });
+
+            if (this.filterContainer) {
+                this.filterContainer.addEventListener('click', (e) => {
+                    const button = e.target.closest('.gallery-filter');
+                    if (button) {
+                        this.filter(button.dataset.filter);
                     }
                 });
+            }
+
+            this.lightbox.on('change', () => this.emitChange());
+            this.lightbox.on('close', () => this.emitChange());
+        }
+
+        // "Load more" button and a polite status line after the grid
+        createControls() {
+            this.more = document.createElement('div');
+            this.more.className = 'gallery-more';
+            this.more.hidden = true;
+            this.more.innerHTML = '<button type="button" class="btn btn-secondary gallery-load-more"></button>';
+            this.moreButton = this.more.querySelector('button');
+            this.moreButton.textContent = t('loadMore');
+
+            this.status = document.createElement('p');
+            this.status.className = 'gallery-status sr-only';
+            this.status.setAttribute('role', 'status');
+
+            this.grid.after(this.more, this.status);
+
+            this.moreButton.addEventListener('click', () => {
+                const revealed = this.loadMore();
+                if (revealed.length) revealed[0].focus();
+            });
+
+            if (this.grid.hasAttribute('data-infinite-scroll') && 'IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver((entries) => {
+                    if (!entries.some(entry => entry.isIntersecting) || this.more.hidden) return;
+
+                    this.loadMore();
+
+                    // Re-observe so a sentinel that is still in view triggers again
+                    this.observer.unobserve(this.more);
+                    this.observer.observe(this.more);
+                }, { rootMargin: '200px 0px' });
+
+                this.observer.observe(this.more);
+            }
+        }
+
+        renderFilters() {
+            if (!this.filterContainer) return;
+
+            const filters = [{ id: 'all', label: t('all') }].concat(
+                this.categories.map(category => ({ id: category.id, label: localized(category.label) }))
+            );
+
+            this.filterContainer.replaceChildren(...filters.map(filter => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'gallery-filter';
+                button.dataset.filter = filter.id;
+                button.textContent = filter.label;
+                return button;
+            }));
+
+            this.updateFilterButtons();
+        }
+
+        createItem(photo) {
+            const category = this.categories.find(c => c.id === photo.category);
+            const alt = localized(photo.alt) || localized(photo.caption);
+
+            const item = document.createElement('div');
+            item.className = 'gallery-item';
+            item.dataset.photo = photo.id;
+            item.dataset.category = photo.category;
+            item.dataset.caption = localized(photo.caption) || alt;
+            item.setAttribute('tabindex', '0');
+            item.setAttribute('role', 'button');
+            item.setAttribute('aria-label', t('view', { alt: alt || t('image') }));
+
+            const img = document.createElement('img');
+            img.dataset.fullsize = photo.fullsize;
+            img.alt = alt;
+            img.setAttribute('loading', 'lazy');
+            img.setAttribute('decoding', 'async');
+
+            const responsive = this.responsiveImage(photo.thumbnail);
+            let media = img;
+
+            if (responsive) {
+                // Blur-up placeholder; main.js swaps in the real sources on scroll
+                media = document.createElement('picture');
+                media.className = 'responsive-image';
+
+                ['avif', 'webp'].filter(format => responsive.srcset[format]).forEach(format => {
+                    const source = document.createElement('source');
+                    source.type = `image/${format}`;
+                    source.dataset.srcset = responsive.srcset[format];
+                    source.sizes = THUMBNAIL_SIZES;
+                    media.append(source);
+                });
+
+                img.src = responsive.placeholder;
+                img.dataset.src = responsive.src;
+                img.dataset.srcset = responsive.srcset.jpeg;
+                img.sizes = THUMBNAIL_SIZES;
+                img.width = responsive.width;
+                img.height = responsive.height;
+                img.classList.add('is-placeholder');
+                media.append(img);
+            } else {
+                img.src = photo.thumbnail;
+            }
+
+            const caption = document.createElement('span');
+            caption.className = 'gallery-caption';
+            caption.textContent = localized(photo.title) || item.dataset.caption;
+
+            item.append(media, caption);
+
+            if (category && category.badge) {
+                const badge = document.createElement('span');
+                badge.className = 'gallery-badge';
+                badge.textContent = localized(category.badge);
+                item.append(badge);
+            }
+
+            return item;
+        }
+
+        // Items are created the first time they are shown, in manifest order
+        ensureItem(photo) {
+            if (this.elements.has(photo.id)) return;
+
+            const item = this.createItem(photo);
+            const next = this.photos.find(other => other.index > photo.index && this.elements.has(other.id));
+
+            this.grid.insertBefore(item, next ? this.elements.get(next.id) : null);
+            this.elements.set(photo.id, item);
+        }
+
+        getMatches() {
+            return this.photos.filter(photo => this.currentFilter === 'all' || photo.category === this.currentFilter);
+        }
+
+        // Show the first `limit` photos of the current filter and hide the rest
+        update() {
+            const matches = this.getMatches();
+            const shown = matches.slice(0, this.limit);
+            const shownIds = new Set(shown.map(photo => photo.id));
+
+            shown.forEach(photo => this.ensureItem(photo));
+
+            this.items = Array.from(this.grid.querySelectorAll('.gallery-item'));
+            this.items.forEach(item => {
+                item.classList.toggle('hidden', !shownIds.has(item.dataset.photo));
+            });
+
+            this.more.hidden = shown.length >= matches.length;
+            this.status.textContent = t('showing', { shown: shown.length, total: matches.length });
+        }
+
+        /**
+         * Reveal the next page of the current filter.
+         * Returns the newly shown items.
+         */
+        loadMore() {
+            const before = new Set(this.getVisibleItems());
+
+            this.limit += this.pageSize;
+            this.update();
+
+            return this.getVisibleItems().filter(item => !before.has(item));
+        }
+
+        // Make sure a photo that matches the filter is within the shown pages
+        reveal(id) {
+            const position = this.getMatches().findIndex(photo => photo.id === id);
+
+            if (position >= this.limit) {
+                this.limit = Math.ceil((position + 1) / this.pageSize) * this.pageSize;
+                this.update();
+            }
+        }
+
+        getVisibleItems() {
+            return this.items.filter(item => !item.classList.contains('hidden'));
+        }
+
+        filter(category) {
+            const known = category === 'all' || this.categories.some(c => c.id === category);
+            this.currentFilter = known ? category : 'all';
+            this.limit = this.pageSize;
+
+            this.lightbox.close();
+            this.update();
+            this.updateFilterButtons();
+            this.emitChange();
+        }
+
+        updateFilterButtons() {
+            if (!this.filterContainer) return;
+
+            this.filterContainer.querySelectorAll('.gallery-filter').forEach(button => {
+                const isActive = button.dataset.filter === this.currentFilter;
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', isActive);
             });
-        });
+        }
+
+        /**
+         * target: index into the visible items, a photo id, or a .gallery-item.
+         * Returns false if nothing matched.
+         */
+        open(target) {
+            if (typeof target === 'string') {
+                this.reveal(target);
+            }
+
+            const visible = this.getVisibleItems();
+            let index = -1;
+
+            if (typeof target === 'number') {
+                index = target;
+            } else if (typeof target === 'string') {
+                index = visible.findIndex(item => item.dataset.photo === target);
+            } else if (target) {
+                index = visible.indexOf(target);
+            }
+
+            if (index < 0 || index >= visible.length) return false;
+
+            this.lightbox.open(visible.map(item => this.toImage(item)), index);
+            return true;
+        }
+
+        toImage(item) {
+            const img = item.querySelector('img');
+            const photo = this.photos.find(p => p.id === item.dataset.photo) || {};
+            const responsive = photo.fullsize ? this.responsiveImage(photo.fullsize) : null;
+
+            return {
+                id: item.dataset.photo,
+                src: responsive ? responsive.largest : img.dataset.fullsize || img.src,
+                srcset: responsive ? responsive.srcset.jpeg : null,
+                alt: img.alt,
+                caption: item.dataset.caption || img.alt,
+                date: photo.date || null,
+                location: localized(photo.location) || null,
+                credit: localized(photo.credit) || null
+            };
+        }
+
+        showLoadError() {
+            const message = document.createElement('p');
+            message.className = 'gallery-error';
+            message.setAttribute('role', 'alert');
+            message.textContent = t('loadError');
+            this.grid.replaceChildren(message);
+        }
+
+        getState() {
+            const image = this.lightbox.isOpen ? this.lightbox.images[this.lightbox.currentIndex] : null;
+
+            return {
+                filter: this.currentFilter,
+                photo: image ? image.id : null,
+                index: image ? this.lightbox.currentIndex : -1
+            };
+        }
+
+        emitChange() {
+            this.emit('change', this.getState());
+        }
     }
 
+    // ========================================
+    // URL State (#filter=field&photo=gallery-3)
+    // ========================================
+
+    /**
+     * Mirrors a Gallery's filter and open photo in the URL hash.
+     * Filter changes replace the current history entry; opening the lightbox
+     * pushes one, so Back closes the lightbox instead of leaving the page.
+     */
+    class GalleryHistory {
+        constructor(gallery) {
+            this.gallery = gallery;
+            this.applying = false;
+            this.expectingPop = false;
+            this.lastPhoto = null;
+
+            gallery.ready.then(() => {
+                this.restore();
+
+                gallery.on('change', (state) => this.handleChange(state));
+                window.addEventListener('popstate', () => this.handlePopState());
+            });
+        }
+
+        // Apply the state in the URL on page load
+        restore() {
+            const state = GalleryHistory.parse(location.hash);
+
+            // Claim this entry, so coming back to it resets the gallery
+            if (!state) {
+                history.replaceState({ gallery: true }, '');
+                return;
+            }
+
+            this.apply(state);
+
+            const current = this.gallery.getState();
+            history.replaceState({ gallery: true }, '', GalleryHistory.url({ filter: current.filter, photo: null }));
+
+            // Open photos get their own entry, as if the visitor had clicked one
+            if (current.photo) {
+                history.pushState({ gallery: true, galleryPhoto: current.photo }, '', GalleryHistory.url(current));
+            }
+
+            this.lastPhoto = current.photo;
+        }
+
+        apply(state) {
+            this.applying = true;
+
+            if (state.filter !== this.gallery.currentFilter) {
+                this.gallery.filter(state.filter);
+            }
+
+            if (state.photo) {
+                if (this.gallery.getState().photo !== state.photo) {
+                    this.gallery.open(state.photo);
+                }
+            } else {
+                this.gallery.lightbox.close();
+            }
+
+            this.applying = false;
+        }
+
+        handleChange(state) {
+            if (this.applying) return;
+
+            const wasOpen = this.lastPhoto !== null;
+            this.lastPhoto = state.photo;
+
+            // Waiting for our own history.back(); handlePopState writes the final state
+            if (this.expectingPop) return;
+
+            if (state.photo && !wasOpen) {
+                history.pushState({ gallery: true, galleryPhoto: state.photo }, '', GalleryHistory.url(state));
+            } else if (!state.photo && wasOpen && history.state && history.state.galleryPhoto) {
+                this.expectingPop = true;
+                history.back();
+            } else {
+                history.replaceState(Object.assign({}, history.state, { gallery: true }), '', GalleryHistory.url(state));
+            }
+        }
+
+        handlePopState() {
+            if (this.expectingPop) {
+                this.expectingPop = false;
+                history.replaceState(history.state, '', GalleryHistory.url(this.gallery.getState()));
+                return;
+            }
+
+            const state = GalleryHistory.parse(location.hash);
+
+            // Someone else's entry, such as the skip link's #main-content
+            if (!state && !(history.state && history.state.gallery)) return;
+
+            this.apply(state || { filter: 'all', photo: null });
+            this.lastPhoto = this.gallery.getState().photo;
+        }
+
+        // Returns null for hashes that aren't gallery state (e.g. #main-content)
+        static parse(hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            if (!params.has('filter') && !params.has('photo')) return null;
+
+            return {
+                filter: params.get('filter') || 'all',
+                photo: params.get('photo') || null
+            };
+        }
+
+        static url(state) {
+            const params = new URLSearchParams();
+            if (state.filter && state.filter !== 'all') params.set('filter', state.filter);
+            if (state.photo) params.set('photo', state.photo);
+
+            const hash = params.toString();
+            return location.pathname + location.search + (hash ? `#${hash}` : '');
+        }
+    }
+
+    const instances = new WeakMap();
+
+    // The controller attached to a .gallery-grid, if any
+    Gallery.for = (grid) => instances.get(grid) || null;
+
+    // ========================================
+    // Gallery Initialization
+    // ========================================
+
+    function initGallery() {
+        const galleryGrid = document.querySelector('.gallery-grid[data-manifest]');
+
+        if (!galleryGrid || instances.has(galleryGrid)) return;
+
+        const gallery = new Gallery(galleryGrid);
+        instances.set(galleryGrid, gallery);
+
+        if (galleryGrid.dataset.history !== 'off') {
+            new GalleryHistory(gallery);
+        }
+    }
+
+    // Public API
+    window.Gallery = Gallery;
+    window.Lightbox = Lightbox;
+
     // ========================================
     // Initialize on DOM Ready
     // ========================================
 
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            initGallery();
-            initGalleryFilters();
-        });
+        document.addEventListener('DOMContentLoaded', initGallery);
     } else {
         initGallery();
-        initGalleryFilters();
     }
 
 })();
@@ -1,6 +1,6 @@
 /**
  * MAIN.JS
- * Core site functionality - Navigation, Mobile Menu, Smooth Scroll, Active States
+ * Core site functionality - Navigation, Mobile Menu, Smooth Scroll, Active States, Language Switch
  * Dr. M. R. Ravi, IAS Portfolio
  */
 
@@ -122,7 +122,6 @@
     function initHeaderScroll() {
         if (!header) return;
 
-        let lastScrollY = window.scrollY;
         let ticking = false;
 
         window.addEventListener('scroll', function () {
@@ -136,17 +135,108 @@
         });
 
         function handleHeaderScroll() {
-            const currentScrollY = window.scrollY;
+            // The shadow itself comes from the theme (--shadow-header)
+            header.classList.toggle('is-scrolled', window.scrollY > 10);
+        }
+    }
+
+    // ========================================
+    // Theme Switcher
+    // ========================================
+
+    // Read by the layout's head script too, which applies the theme before first paint
+    const THEME_KEY = 'siteTheme';
+    const THEMES = ['light', 'dark', 'contrast'];
+
+    function initThemeSwitcher() {
+        // While following the system, follow its changes too
+        ['(prefers-contrast: more)', '(prefers-color-scheme: dark)'].forEach(query => {
+            const media = window.matchMedia && window.matchMedia(query);
+            if (!media || !media.addEventListener) return;
+
+            media.addEventListener('change', () => {
+                if (!getStoredTheme()) applyTheme(getSystemTheme());
+            });
+        });
+
+        const switcher = document.querySelector('.theme-switcher');
+        if (!switcher) return;
+
+        const toggle = switcher.querySelector('.theme-toggle');
+        const menu = switcher.querySelector('.theme-menu');
+        const options = Array.from(switcher.querySelectorAll('[data-theme-option]'));
+
+        function render() {
+            const choice = getStoredTheme() || 'system';
+            options.forEach(option => option.setAttribute('aria-pressed', String(option.dataset.themeOption === choice)));
+        }
+
+        function setOpen(open, returnFocus) {
+            menu.hidden = !open;
+            toggle.setAttribute('aria-expanded', String(open));
+
+            if (open) {
+                (options.find(option => option.getAttribute('aria-pressed') === 'true') || options[0]).focus();
+            } else if (returnFocus) {
+                toggle.focus();
+            }
+        }
+
+        toggle.addEventListener('click', () => setOpen(menu.hidden));
+
+        options.forEach(option => {
+            option.addEventListener('click', () => {
+                chooseTheme(option.dataset.themeOption);
+                render();
+                setOpen(false, true);
+            });
+        });
 
-            // Add shadow when scrolled
-            if (currentScrollY > 10) {
-                header.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.1)';
-            } else {
-                header.style.boxShadow = 'none';
+        switcher.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !menu.hidden) {
+                e.preventDefault();
+                setOpen(false, true);
             }
+        });
+
+        // Close when focus or a click moves elsewhere
+        switcher.addEventListener('focusout', (e) => {
+            if (!menu.hidden && !switcher.contains(e.relatedTarget)) setOpen(false);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !switcher.contains(e.target)) setOpen(false);
+        });
+
+        render();
+        switcher.hidden = false;
+    }
+
+    function getStoredTheme() {
+        const theme = getStoredItem('localStorage', THEME_KEY);
+        return THEMES.includes(theme) ? theme : null;
+    }
+
+    function getSystemTheme() {
+        const prefers = query => !!(window.matchMedia && window.matchMedia(query).matches);
+
+        if (prefers('(prefers-contrast: more)')) return 'contrast';
+        return prefers('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+    }
 
-            lastScrollY = currentScrollY;
+    // "system" forgets the stored choice
+    function chooseTheme(choice) {
+        if (THEMES.includes(choice)) {
+            setStoredItem('localStorage', THEME_KEY, choice);
+        } else {
+            removeStoredItem('localStorage', THEME_KEY);
         }
+
+        applyTheme(getStoredTheme() || getSystemTheme());
+    }
+
+    function applyTheme(theme) {
+        document.documentElement.dataset.theme = theme;
     }
 
     // ========================================
@@ -166,6 +256,171 @@
         }
     }
 
+    // ========================================
+    // Language Switch
+    // ========================================
+
+    // The visitor's chosen language, read by the root index.html redirect
+    const LANGUAGE_KEY = 'siteLanguage';
+    // Scroll position and open disclosures handed to the other language's page
+    const HANDOFF_KEY = 'languageSwitch';
+    const HANDOFF_TTL = 60 * 1000;
+    // Longest wait for data-driven content before restoring anyway
+    const BUSY_TIMEOUT = 5000;
+
+    function initLanguageSwitch() {
+        document.querySelectorAll('a[hreflang]').forEach(link => {
+            // Keep the hash current so middle-clicked and copied links carry it too
+            link.addEventListener('pointerdown', () => updateLanguageLink(link));
+            link.addEventListener('focus', () => updateLanguageLink(link));
+
+            link.addEventListener('click', () => {
+                const language = link.getAttribute('hreflang');
+
+                updateLanguageLink(link);
+                setStoredItem('localStorage', LANGUAGE_KEY, language);
+
+                if (language !== document.documentElement.lang) {
+                    saveHandoff(link);
+                }
+            });
+        });
+
+        // Let the page's own scripts (timeline.js, gallery.js) set up first
+        setTimeout(() => whenContentReady(restoreHandoff), 0);
+    }
+
+    // Content rendered from data (the career timeline) is aria-busy until it's in place
+    function whenContentReady(callback) {
+        const main = document.querySelector('main');
+        const isBusy = () => main && main.querySelector('[aria-busy="true"]');
+
+        if (!isBusy()) {
+            callback();
+            return;
+        }
+
+        const observer = new MutationObserver(() => {
+            if (isBusy()) return;
+            observer.disconnect();
+            clearTimeout(timer);
+            callback();
+        });
+
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            callback();
+        }, BUSY_TIMEOUT);
+
+        observer.observe(main, { subtree: true, attributes: true, attributeFilter: ['aria-busy'] });
+    }
+
+    function updateLanguageLink(link) {
+        // Carries section anchors and URL state such as the gallery's #filter=
+        link.href = link.href.split('#')[0] + window.location.hash;
+    }
+
+    // Disclosures (timeline items and the like) in document order; both
+    // languages share the same structure, so indexes line up
+    function getDisclosures() {
+        return Array.from(document.querySelectorAll('main [aria-controls][aria-expanded]'));
+    }
+
+    function getPageSections() {
+        return Array.from(document.querySelectorAll('main section'));
+    }
+
+    function saveHandoff(link) {
+        const headerHeight = header ? header.offsetHeight : 0;
+        const sections = getPageSections();
+        let position = null;
+
+        // The section under the header, and how far into it the visitor has scrolled
+        for (let i = sections.length - 1; i >= 0 && window.pageYOffset > 0; i--) {
+            const rect = sections[i].getBoundingClientRect();
+            if (rect.top <= headerHeight) {
+                position = {
+                    section: i,
+                    offset: rect.height ? (headerHeight - rect.top) / rect.height : 0
+                };
+                break;
+            }
+        }
+
+        setStoredItem('sessionStorage', HANDOFF_KEY, JSON.stringify({
+            path: new URL(link.href, window.location.href).pathname,
+            time: Date.now(),
+            position,
+            expanded: getDisclosures()
+                .map((el, index) => (el.getAttribute('aria-expanded') === 'true' ? index : -1))
+                .filter(index => index !== -1)
+        }));
+    }
+
+    function restoreHandoff() {
+        const saved = getStoredItem('sessionStorage', HANDOFF_KEY);
+        if (!saved) return;
+
+        removeStoredItem('sessionStorage', HANDOFF_KEY);
+
+        let state;
+        try {
+            state = JSON.parse(saved);
+        } catch (error) {
+            return;
+        }
+
+        if (!state || state.path !== window.location.pathname || Date.now() - state.time > HANDOFF_TTL) return;
+
+        const disclosures = getDisclosures();
+        (state.expanded || []).forEach(index => {
+            const el = disclosures[index];
+            // Clicking goes through the component's own toggle logic
+            if (el && el.getAttribute('aria-expanded') !== 'true') {
+                el.click();
+            }
+        });
+
+        // A section anchor in the URL wins; the browser has already scrolled to it
+        const hashTarget = window.location.hash.length > 1 &&
+            document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+
+        if (state.position && !hashTarget) {
+            const section = getPageSections()[state.position.section];
+            if (!section) return;
+
+            const headerHeight = header ? header.offsetHeight : 0;
+            const rect = section.getBoundingClientRect();
+
+            window.scrollTo(0, rect.top + window.pageYOffset + state.position.offset * rect.height - headerHeight);
+        }
+    }
+
+    // Storage can be disabled or full; the switch still works without it
+    function getStoredItem(storage, key) {
+        try {
+            return window[storage].getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function setStoredItem(storage, key, value) {
+        try {
+            window[storage].setItem(key, value);
+        } catch (error) {
+            // Ignore
+        }
+    }
+
+    function removeStoredItem(storage, key) {
+        try {
+            window[storage].removeItem(key);
+        } catch (error) {
+            // Ignore
+        }
+    }
+
     // ========================================
     // Lazy Loading Images
     // ========================================
@@ -173,23 +428,77 @@
     function initLazyLoading() {
         const lazyImages = document.querySelectorAll('img[loading="lazy"]');
 
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver(function (entries, observer) {
-                entries.forEach(function (entry) {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        img.classList.add('loaded');
-                        observer.unobserve(img);
-                    }
+        if (!('IntersectionObserver' in window)) {
+            // No way to wait for scroll: swap every placeholder now
+            document.querySelectorAll('img[data-src], img[data-srcset]').forEach(loadImage);
+            return;
+        }
+
+        const imageObserver = new IntersectionObserver(function (entries, observer) {
+            entries.forEach(function (entry) {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    loadImage(img);
+                    img.classList.add('loaded');
+                    observer.unobserve(img);
+                }
+            });
+        }, {
+            rootMargin: '50px 0px'
+        });
+
+        lazyImages.forEach(function (img) {
+            imageObserver.observe(img);
+        });
+
+        // Images rendered later by scripts (e.g. the gallery) get the same treatment
+        const mutationObserver = new MutationObserver(function (mutations) {
+            mutations.forEach(function (mutation) {
+                mutation.addedNodes.forEach(function (node) {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                    const images = node.matches('img[loading="lazy"]')
+                        ? [node]
+                        : node.querySelectorAll('img[loading="lazy"]');
+                    images.forEach(img => imageObserver.observe(img));
                 });
-            }, {
-                rootMargin: '50px 0px'
             });
+        });
 
-            lazyImages.forEach(function (img) {
-                imageObserver.observe(img);
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Swap a blur-up placeholder for the real image. Markup from
+     * tools/build-images.js keeps the real sources in data-src/data-srcset
+     * (on the <img> and its <picture> sources) until the image is needed.
+     */
+    function loadImage(img) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
             });
         }
+
+        if (!img.dataset.src && !img.dataset.srcset) return;
+
+        // Keep the blur until the real image has arrived
+        const reveal = () => img.classList.remove('is-placeholder');
+        img.addEventListener('load', reveal, { once: true });
+        img.addEventListener('error', reveal, { once: true });
+
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        }
     }
 
     // ========================================
@@ -256,11 +565,23 @@
     // Counter Animation for Stats
     // ========================================
 
+    const COUNTER_DURATION = 1500;
+
+    // format.js loads before this file on every page
+    const { parseNumber, formatParsed } = window.SiteFormat;
+
     function initCounterAnimation() {
-        const counters = document.querySelectorAll('.hero-stat-number, .stat-number');
+        const counters = document.querySelectorAll('.hero-stat-number, .stat-number, [data-counter]');
 
         if (!counters.length) return;
 
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        if (reduceMotion || !('IntersectionObserver' in window)) {
+            counters.forEach(counter => renderCounter(counter, 1));
+            return;
+        }
+
         const counterObserver = new IntersectionObserver(function (entries, observer) {
             entries.forEach(function (entry) {
                 if (entry.isIntersecting) {
@@ -276,25 +597,57 @@
         counters.forEach(counter => counterObserver.observe(counter));
     }
 
+    /**
+     * Reads a stat such as "35+", "1.2M", "40%", "₹2.5 Cr" or "೫೦೦+" with
+     * parseNumber (format.js), or null when it has no number. data-target,
+     * data-decimals, data-prefix and data-suffix override what the text says.
+     */
+    function parseStat(element) {
+        const text = element.dataset.counterText || element.textContent.trim();
+        const data = element.dataset;
+        const stat = parseNumber(text) ||
+            (data.target !== undefined ? { prefix: '', value: 0, decimals: 0, grouping: false, digits: null, suffix: '' } : null);
+        if (!stat) return null;
+
+        if (data.target !== undefined) {
+            stat.value = Number(data.target);
+            stat.grouping = stat.grouping || stat.value >= 10000;
+        }
+        if (data.decimals !== undefined) stat.decimals = parseInt(data.decimals, 10) || 0;
+        if (data.prefix !== undefined) stat.prefix = data.prefix;
+        if (data.suffix !== undefined) stat.suffix = data.suffix;
+
+        return Number.isFinite(stat.value) ? stat : null;
+    }
+
+    // progress runs from 0 to 1
+    function renderCounter(element, progress) {
+        if (!element.dataset.counterText) {
+            element.dataset.counterText = element.textContent.trim();
+        }
+
+        const stat = parseStat(element);
+        if (!stat) return;
+
+        element.textContent = formatParsed(stat, stat.value * progress);
+    }
+
     function animateCounter(element) {
-        const text = element.textContent;
-        const match = text.match(/(\d+)/);
+        if (!parseStat(element)) return;
+
+        let start = null;
+
+        function updateCounter(time) {
+            if (start === null) start = time;
 
-        if (!match) return;
+            const elapsed = Math.min((time - start) / COUNTER_DURATION, 1);
+            // Ease out, so the count settles on its value instead of stopping dead
+            const eased = 1 - Math.pow(1 - elapsed, 3);
 
-        const target = parseInt(match[1]);
-        const suffix = text.replace(/\d+/, '');
-        const duration = 1500;
-        const step = target / (duration / 16);
-        let current = 0;
+            renderCounter(element, eased);
 
-        function updateCounter() {
-            current += step;
-            if (current < target) {
-                element.textContent = Math.floor(current) + suffix;
+            if (elapsed < 1) {
                 requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = target + suffix;
             }
         }
 
@@ -310,7 +663,9 @@
         setActiveNavLink();
         initSmoothScroll();
         initHeaderScroll();
+        initThemeSwitcher();
         initSkipLink();
+        initLanguageSwitch();
         initLazyLoading();
         initScrollReveal();
         initCounterAnimation();
@@ -0,0 +1,689 @@
+/**
+ * SEARCH.JS
+ * Site Search Overlay - Offline Index, Kannada Transliteration & Keyboard Navigation
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Searches assets/data/search.json (built by tools/build-search.js) across
+ * both languages. Latin queries also match Kannada text through a loose
+ * transliteration, so "badukonu" finds ಬದುಕೋಣು ಬಾರಾ, and Kannada queries
+ * find the English spelling the same way.
+ */
+
+(function () {
+    'use strict';
+
+    // Resolved now: document.currentScript is only set while the script first runs
+    const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            open: 'Search the site (press /)',
+            dialog: 'Search',
+            label: 'Search the site',
+            placeholder: 'Search postings, initiatives, books, awards…',
+            close: 'Close search',
+            results: 'Search results',
+            hint: 'Use the up and down arrow keys to move through results, Enter to open one and Escape to close.',
+            loading: 'Loading search…',
+            loadError: 'Search is not available right now. Please try again later.',
+            count: '{count} results',
+            countOne: '{count} result',
+            none: 'No results for “{query}”',
+            page: 'Page',
+            section: 'Section',
+            timeline: 'Career',
+            award: 'Award',
+            book: 'Book',
+            en: 'English',
+            kn: 'ಕನ್ನಡ'
+        },
+        kn: {
+            open: 'ಜಾಲತಾಣದಲ್ಲಿ ಹುಡುಕಿ (/ ಒತ್ತಿ)',
+            dialog: 'ಹುಡುಕಾಟ',
+            label: 'ಜಾಲತಾಣದಲ್ಲಿ ಹುಡುಕಿ',
+            placeholder: 'ಹುದ್ದೆಗಳು, ಉಪಕ್ರಮಗಳು, ಪುಸ್ತಕಗಳು, ಪ್ರಶಸ್ತಿಗಳನ್ನು ಹುಡುಕಿ…',
+            close: 'ಹುಡುಕಾಟ ಮುಚ್ಚಿ',
+            results: 'ಹುಡುಕಾಟದ ಫಲಿತಾಂಶಗಳು',
+            hint: 'ಫಲಿತಾಂಶಗಳ ನಡುವೆ ಚಲಿಸಲು ಮೇಲಿನ ಮತ್ತು ಕೆಳಗಿನ ಬಾಣದ ಕೀಲಿಗಳನ್ನು ಬಳಸಿ, ತೆರೆಯಲು Enter, ಮುಚ್ಚಲು Escape ಒತ್ತಿ.',
+            loading: 'ಹುಡುಕಾಟ ಲೋಡ್ ಆಗುತ್ತಿದೆ…',
+            loadError: 'ಹುಡುಕಾಟ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+            count: '{count} ಫಲಿತಾಂಶಗಳು',
+            countOne: '{count} ಫಲಿತಾಂಶ',
+            none: '“{query}” ಗೆ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳಿಲ್ಲ',
+            page: 'ಪುಟ',
+            section: 'ವಿಭಾಗ',
+            timeline: 'ವೃತ್ತಿ',
+            award: 'ಪ್ರಶಸ್ತಿ',
+            book: 'ಪುಸ್ತಕ',
+            en: 'English',
+            kn: 'ಕನ್ನಡ'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Shared number formatting; format.js loads on every page before this
+    const { formatNumber } = window.SiteFormat;
+
+    // ========================================
+    // Text Matching & Transliteration
+    // ========================================
+
+    // Letters, marks and digits; ZWJ/ZWNJ sit inside Kannada words
+    const WORD_PATTERN = /[\p{L}\p{M}\p{N}\u200C\u200D]+/gu;
+    const KANNADA_PATTERN = /[\u0C80-\u0CFF]/;
+
+    const KANNADA_VOWELS = {
+        'ಅ': 'a', 'ಆ': 'aa', 'ಇ': 'i', 'ಈ': 'ii', 'ಉ': 'u', 'ಊ': 'uu', 'ಋ': 'ru', 'ೠ': 'ruu',
+        'ಎ': 'e', 'ಏ': 'e', 'ಐ': 'ai', 'ಒ': 'o', 'ಓ': 'o', 'ಔ': 'au'
+    };
+
+    const KANNADA_CONSONANTS = {
+        'ಕ': 'k', 'ಖ': 'kh', 'ಗ': 'g', 'ಘ': 'gh', 'ಙ': 'n',
+        'ಚ': 'ch', 'ಛ': 'chh', 'ಜ': 'j', 'ಝ': 'jh', 'ಞ': 'n',
+        'ಟ': 't', 'ಠ': 'th', 'ಡ': 'd', 'ಢ': 'dh', 'ಣ': 'n',
+        'ತ': 't', 'ಥ': 'th', 'ದ': 'd', 'ಧ': 'dh', 'ನ': 'n',
+        'ಪ': 'p', 'ಫ': 'ph', 'ಬ': 'b', 'ಭ': 'bh', 'ಮ': 'm',
+        'ಯ': 'y', 'ರ': 'r', 'ಱ': 'r', 'ಲ': 'l', 'ವ': 'v', 'ಶ': 'sh', 'ಷ': 'sh', 'ಸ': 's', 'ಹ': 'h', 'ಳ': 'l', 'ೞ': 'l'
+    };
+
+    // Dependent vowel signs, which replace a consonant's inherent "a"
+    const KANNADA_SIGNS = {
+        'ಾ': 'aa', 'ಿ': 'i', 'ೀ': 'ii', 'ು': 'u', 'ೂ': 'uu', 'ೃ': 'ru', 'ೄ': 'ruu',
+        'ೆ': 'e', 'ೇ': 'e', 'ೈ': 'ai', 'ೊ': 'o', 'ೋ': 'o', 'ೌ': 'au'
+    };
+
+    const VIRAMA = '\u0CCD';
+    const NUKTA = '\u0CBC';
+    const ANUSVARA = '\u0C82';
+    const VISARGA = '\u0C83';
+    const LABIALS = ['ಪ', 'ಫ', 'ಬ', 'ಭ', 'ಮ'];
+
+    /**
+     * Kannada word -> Latin letters, the way people type it:
+     * ಬದುಕೋಣು -> "badukonu", ಬೆಂಗಳೂರು -> "bengaluuru"
+     */
+    function romanize(word) {
+        let result = '';
+
+        for (let i = 0; i < word.length; i++) {
+            const char = word[i];
+
+            if (KANNADA_CONSONANTS[char]) {
+                result += KANNADA_CONSONANTS[char];
+                if (word[i + 1] === NUKTA) i++;
+
+                const next = word[i + 1];
+                if (next === VIRAMA) {
+                    i++;
+                } else if (KANNADA_SIGNS[next]) {
+                    result += KANNADA_SIGNS[next];
+                    i++;
+                } else {
+                    result += 'a';
+                }
+            } else if (KANNADA_VOWELS[char]) {
+                result += KANNADA_VOWELS[char];
+            } else if (char === ANUSVARA) {
+                const next = word[i + 1];
+                result += !next || LABIALS.includes(next) ? 'm' : 'n';
+            } else if (char === VISARGA) {
+                result += 'h';
+            } else if (char >= '\u0CE6' && char <= '\u0CEF') {
+                result += String(char.charCodeAt(0) - 0x0CE6);
+            } else if (!KANNADA_PATTERN.test(char)) {
+                result += char;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Forgiving Latin spelling shared by queries and indexed words: long vowels,
+     * aspirates and doubled letters collapse, so "baaraa", "bara" and ಬಾರಾ agree.
+     */
+    function loosen(latin) {
+        return latin
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/([kgcjtdpbs])h/g, '$1')
+            .replace(/w/g, 'v')
+            .replace(/f/g, 'p')
+            .replace(/z/g, 'j')
+            .replace(/(.)\1+/g, '$1');
+    }
+
+    // Lower case without Latin accents; Kannada is recomposed by the final NFC
+    function fold(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+            .replace(/[\u200C\u200D]/g, '')
+            .toLowerCase();
+    }
+
+    function wordKey(word) {
+        const text = fold(word);
+        return {
+            text,
+            loose: loosen(KANNADA_PATTERN.test(text) ? romanize(text) : text)
+        };
+    }
+
+    function words(text) {
+        return (text || '').match(WORD_PATTERN) || [];
+    }
+
+    // How well one indexed word matches one query token; 0 when it doesn't
+    function scoreWord(word, token) {
+        if (word.text === token.text) return 10;
+        if (word.text.startsWith(token.text)) return 7;
+        if (token.loose && word.loose === token.loose) return 6;
+        if (token.loose && word.loose.startsWith(token.loose)) return 4;
+        if (token.text.length >= 3 && word.text.includes(token.text)) return 3;
+        if (token.loose.length >= 4 && word.loose.includes(token.loose)) return 2;
+        return 0;
+    }
+
+    function bestScore(keys, token) {
+        let best = 0;
+        for (let i = 0; i < keys.length && best < 10; i++) {
+            best = Math.max(best, scoreWord(keys[i], token));
+        }
+        return best;
+    }
+
+    function matchesAny(word, tokens) {
+        const key = wordKey(word);
+        return tokens.some(token => scoreWord(key, token) > 0);
+    }
+
+    // ========================================
+    // Search Index
+    // ========================================
+
+    const MIN_QUERY_LENGTH = 2;
+    const MAX_RESULTS = 20;
+    const SAME_LANGUAGE_BONUS = 3;
+
+    class SearchIndex {
+        constructor(url) {
+            this.url = url;
+            this.records = null;
+            this.loading = null;
+        }
+
+        load() {
+            if (!this.loading) {
+                this.loading = fetch(this.url)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`Search index: HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .then(data => {
+                        this.records = (data.records || []).map((record, order) => ({
+                            record,
+                            order,
+                            title: words(record.title).map(wordKey),
+                            context: words(record.context).map(wordKey),
+                            text: words(record.text).map(wordKey)
+                        }));
+                        return this;
+                    })
+                    .catch(error => {
+                        // Let the next attempt try again
+                        this.loading = null;
+                        throw error;
+                    });
+            }
+            return this.loading;
+        }
+
+        static tokenize(query) {
+            return words(query).map(wordKey);
+        }
+
+        /**
+         * Records matching every token, best first. Title hits count double and
+         * records in the page's language rank above the other language.
+         */
+        search(query, lang) {
+            const tokens = SearchIndex.tokenize(query);
+            if (!this.records || !tokens.length || query.trim().length < MIN_QUERY_LENGTH) return [];
+
+            const results = [];
+
+            this.records.forEach(entry => {
+                let score = 0;
+
+                for (const token of tokens) {
+                    const best = Math.max(
+                        bestScore(entry.title, token) * 2,
+                        bestScore(entry.context, token),
+                        bestScore(entry.text, token)
+                    );
+                    if (!best) return;
+                    score += best;
+                }
+
+                if (entry.record.lang === lang) score += SAME_LANGUAGE_BONUS;
+                results.push({ record: entry.record, score, order: entry.order });
+            });
+
+            return results
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .slice(0, MAX_RESULTS)
+                .map(result => result.record);
+        }
+    }
+
+    // ========================================
+    // Result Rendering
+    // ========================================
+
+    const SNIPPET_BEFORE = 60;
+    const SNIPPET_LENGTH = 180;
+
+    /**
+     * text as a fragment with every matching word wrapped in <mark>.
+     */
+    function highlight(text, tokens) {
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+
+        text.replace(WORD_PATTERN, (word, offset) => {
+            if (matchesAny(word, tokens)) {
+                fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+                const mark = document.createElement('mark');
+                mark.textContent = word;
+                fragment.appendChild(mark);
+                last = offset + word.length;
+            }
+            return word;
+        });
+
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        return fragment;
+    }
+
+    // A window of text around the first match, cut at word boundaries
+    function snippet(text, tokens) {
+        if (!text) return '';
+
+        let first = -1;
+        text.replace(WORD_PATTERN, (word, offset) => {
+            if (first === -1 && matchesAny(word, tokens)) first = offset;
+            return word;
+        });
+
+        let start = Math.max(0, first - SNIPPET_BEFORE);
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            start = space === -1 || space > first ? start : space + 1;
+        }
+
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            end = space > start ? space : end;
+        }
+
+        return (start > 0 ? '… ' : '') + text.slice(start, end) + (end < text.length ? ' …' : '');
+    }
+
+    // ========================================
+    // Search Overlay
+    // ========================================
+
+    const SEARCH_DELAY = 80;
+
+    class SiteSearch {
+        constructor(nav, indexUrl) {
+            this.nav = nav;
+            this.index = new SearchIndex(indexUrl);
+            // Record URLs are relative to the site root, two levels above the index
+            this.siteRoot = new URL('../../', indexUrl);
+            this.results = [];
+            this.activeIndex = -1;
+            this.isOpen = false;
+            this.returnFocus = null;
+            this.searchTimer = null;
+
+            this.createToggle();
+            this.createOverlay();
+            this.bindEvents();
+        }
+
+        createToggle() {
+            this.toggle = document.createElement('button');
+            this.toggle.type = 'button';
+            this.toggle.className = 'search-toggle';
+            this.toggle.setAttribute('aria-label', t('open'));
+            this.toggle.setAttribute('aria-haspopup', 'dialog');
+            this.toggle.setAttribute('aria-controls', 'site-search');
+            this.toggle.setAttribute('aria-keyshortcuts', '/');
+            this.toggle.innerHTML = `
+                <svg class="search-toggle-icon" viewBox="0 0 24 24" width="18" height="18" aria-hidden="true" focusable="false">
+                    <circle cx="10.5" cy="10.5" r="6.5" fill="none" stroke="currentColor" stroke-width="2"></circle>
+                    <line x1="15.5" y1="15.5" x2="21" y2="21" stroke="currentColor" stroke-width="2" stroke-linecap="round"></line>
+                </svg>
+            `;
+
+            // Beside the menu on desktop; before the menu toggle on small screens
+            const menu = this.nav.querySelector('.nav-menu');
+            this.nav.insertBefore(this.toggle, menu ? menu.nextSibling : null);
+        }
+
+        createOverlay() {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'search-overlay';
+            this.overlay.id = 'site-search';
+            this.overlay.setAttribute('role', 'dialog');
+            this.overlay.setAttribute('aria-modal', 'true');
+            this.overlay.setAttribute('aria-label', t('dialog'));
+            this.overlay.hidden = true;
+
+            this.overlay.innerHTML = `
+                <div class="search-dialog">
+                    <form class="search-form" role="search">
+                        <label for="site-search-input" class="sr-only">${t('label')}</label>
+                        <input type="search" id="site-search-input" class="search-input"
+                            placeholder="${t('placeholder')}" autocomplete="off" spellcheck="false"
+                            role="combobox" aria-autocomplete="list" aria-expanded="false"
+                            aria-controls="site-search-results" aria-describedby="site-search-hint">
+                        <button type="button" class="search-close" aria-label="${t('close')}">&times;</button>
+                    </form>
+                    <p class="search-status" role="status" aria-live="polite" aria-atomic="true"></p>
+                    <ul class="search-results" id="site-search-results" role="listbox" aria-label="${t('results')}"></ul>
+                    <p class="search-hint" id="site-search-hint">${t('hint')}</p>
+                </div>
+            `;
+
+            document.body.appendChild(this.overlay);
+
+            this.dialog = this.overlay.querySelector('.search-dialog');
+            this.form = this.overlay.querySelector('.search-form');
+            this.input = this.overlay.querySelector('.search-input');
+            this.closeBtn = this.overlay.querySelector('.search-close');
+            this.status = this.overlay.querySelector('.search-status');
+            this.list = this.overlay.querySelector('.search-results');
+        }
+
+        bindEvents() {
+            this.toggle.addEventListener('click', () => this.open());
+
+            // Fetch the index ahead of the click where we can
+            ['pointerenter', 'focus'].forEach(type => {
+                this.toggle.addEventListener(type, () => this.index.load().catch(() => {}), { once: true });
+            });
+
+            this.closeBtn.addEventListener('click', () => this.close());
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.activate(this.activeIndex === -1 ? 0 : this.activeIndex);
+            });
+
+            this.input.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.update(), SEARCH_DELAY);
+            });
+
+            this.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+            this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+            // Clicks on the backdrop close the overlay
+            this.overlay.addEventListener('click', (e) => {
+                if (e.target === this.overlay) this.close();
+            });
+
+            this.list.addEventListener('click', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (!option || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+                e.preventDefault();
+                this.activate(Number(option.dataset.index));
+            });
+
+            document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        }
+
+        handleShortcut(e) {
+            if (e.key !== '/' || this.isOpen || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const target = e.target;
+            const editing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+            // Leave other dialogs (the gallery lightbox) alone
+            const inDialog = target.closest && target.closest('[aria-modal="true"]');
+
+            if (editing || inDialog) return;
+
+            e.preventDefault();
+            this.open();
+        }
+
+        handleInputKeydown(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!this.results.length) return;
+
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.results.length;
+                const start = this.activeIndex === -1 ? (step === 1 ? -1 : count) : this.activeIndex;
+                this.setActive((start + step + count) % count);
+            }
+        }
+
+        handleKeydown(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog
+                const focusable = [this.input, this.closeBtn];
+                const index = focusable.indexOf(document.activeElement);
+                e.preventDefault();
+                focusable[(index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length].focus();
+            }
+        }
+
+        open() {
+            if (this.isOpen) return;
+
+            this.isOpen = true;
+            this.returnFocus = document.activeElement;
+            this.overlay.hidden = false;
+            this.toggle.setAttribute('aria-expanded', 'true');
+            document.body.style.overflow = 'hidden';
+
+            this.input.focus();
+            this.input.select();
+
+            if (!this.index.records) {
+                this.setStatus(t('loading'));
+            }
+
+            this.index.load()
+                .then(() => this.update())
+                .catch(() => this.setStatus(t('loadError')));
+        }
+
+        close() {
+            if (!this.isOpen) return;
+
+            this.isOpen = false;
+            clearTimeout(this.searchTimer);
+            this.overlay.hidden = true;
+            this.toggle.setAttribute('aria-expanded', 'false');
+            document.body.style.overflow = '';
+
+            // Opened with "/" from the page itself: focus the toggle rather than <body>
+            const target = this.returnFocus && this.returnFocus !== document.body && document.contains(this.returnFocus)
+                ? this.returnFocus
+                : this.toggle;
+            target.focus();
+        }
+
+        update() {
+            if (!this.isOpen || !this.index.records) return;
+
+            const query = this.input.value;
+            this.results = this.index.search(query, currentLang());
+            this.renderResults(SearchIndex.tokenize(query));
+
+            if (query.trim().length < MIN_QUERY_LENGTH) {
+                this.setStatus('');
+            } else if (!this.results.length) {
+                this.setStatus(t('none', { query: query.trim() }));
+            } else {
+                const count = formatNumber(this.results.length);
+                this.setStatus(t(this.results.length === 1 ? 'countOne' : 'count', { count }));
+            }
+        }
+
+        renderResults(tokens) {
+            this.list.innerHTML = '';
+            this.activeIndex = -1;
+            this.input.removeAttribute('aria-activedescendant');
+            this.input.setAttribute('aria-expanded', this.results.length ? 'true' : 'false');
+
+            this.results.forEach((record, index) => {
+                const option = document.createElement('li');
+                option.className = 'search-result';
+                option.id = `site-search-result-${index}`;
+                option.dataset.index = index;
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.lang = record.lang;
+
+                const link = document.createElement('a');
+                link.href = this.resolve(record).href;
+                link.tabIndex = -1;
+
+                const meta = document.createElement('span');
+                meta.className = 'search-result-meta';
+                meta.textContent = [t(record.type), record.page, record.context].filter(Boolean).join(' › ');
+
+                if (record.lang !== currentLang()) {
+                    const badge = document.createElement('span');
+                    badge.className = 'search-result-lang';
+                    badge.textContent = t(record.lang);
+                    meta.appendChild(badge);
+                }
+
+                const title = document.createElement('span');
+                title.className = 'search-result-title';
+                title.appendChild(highlight(record.title, tokens));
+
+                link.appendChild(meta);
+                link.appendChild(title);
+
+                const text = snippet(record.text, tokens);
+                if (text) {
+                    const excerpt = document.createElement('span');
+                    excerpt.className = 'search-result-snippet';
+                    excerpt.appendChild(highlight(text, tokens));
+                    link.appendChild(excerpt);
+                }
+
+                option.appendChild(link);
+                this.list.appendChild(option);
+            });
+        }
+
+        setActive(index) {
+            const options = this.list.querySelectorAll('[role="option"]');
+            options.forEach((option, i) => {
+                option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+                option.classList.toggle('is-active', i === index);
+            });
+
+            this.activeIndex = index;
+            const active = options[index];
+
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', active.id);
+                active.scrollIntoView({ block: 'nearest' });
+            }
+        }
+
+        resolve(record) {
+            return new URL(record.url, this.siteRoot);
+        }
+
+        activate(index) {
+            const record = this.results[index];
+            if (!record) return;
+
+            const url = this.resolve(record);
+
+            if (url.pathname !== window.location.pathname) {
+                window.location.href = url.href;
+                return;
+            }
+
+            // Same page: text fragments don't apply, so find the heading ourselves
+            this.close();
+            this.reveal(record);
+        }
+
+        reveal(record) {
+            const headings = document.querySelectorAll('main h1, main h2, main h3, main .timeline-title, main .book-title');
+            const heading = Array.from(headings).find(el => el.textContent.replace(/\s+/g, ' ').trim() === record.title);
+            if (!heading) return;
+
+            const disclosure = heading.closest('[aria-expanded]');
+            let target = heading;
+
+            if (disclosure && disclosure.closest('main')) {
+                if (disclosure.getAttribute('aria-expanded') !== 'true') disclosure.click();
+                target = disclosure;
+            } else if (!heading.hasAttribute('tabindex')) {
+                heading.setAttribute('tabindex', '-1');
+            }
+
+            const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            target.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+            target.focus({ preventScroll: true });
+        }
+
+        setStatus(message) {
+            this.status.textContent = message;
+        }
+    }
+
+    // ========================================
+    // Initialize Search
+    // ========================================
+
+    function initSearch() {
+        const nav = document.querySelector('.site-header .nav-container');
+        if (!nav || SiteSearch.instance) return;
+
+        SiteSearch.instance = new SiteSearch(nav, new URL('../data/search.json', SCRIPT_URL).href);
+    }
+
+    SiteSearch.instance = null;
+    SiteSearch.romanize = romanize;
+
+    window.SiteSearch = SiteSearch;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initSearch);
+    } else {
+        initSearch();
+    }
+
+})();
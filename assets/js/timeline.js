@@ -1,23 +1,232 @@
 /**
  * TIMELINE.JS
- * Interactive Career Timeline - Expand/Collapse with Keyboard Accessibility
+ * Interactive Career Timeline - Rendering from Career Data, Expand/Collapse
+ * with Keyboard Accessibility, Department/Place/Year Filters and Text Search
  * Dr. M. R. Ravi, IAS Portfolio
  */
 
 (function () {
     'use strict';
 
+    // ========================================
+    // Messages
+    // ========================================
+
+    const MESSAGES = {
+        en: {
+            expanded: '{title} expanded',
+            collapsed: '{title} collapsed',
+            count: 'Showing {shown} of {total} postings',
+            keyImpact: 'Key Impact',
+            loadError: 'The career timeline could not be loaded. Please try again later.'
+        },
+        kn: {
+            expanded: '{title} ತೆರೆಯಲಾಗಿದೆ',
+            collapsed: '{title} ಮುಚ್ಚಲಾಗಿದೆ',
+            count: '{total} ಹುದ್ದೆಗಳಲ್ಲಿ {shown} ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            keyImpact: 'ಪ್ರಮುಖ ಪರಿಣಾಮ',
+            loadError: 'ವೃತ್ತಿ ಪಯಣವನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಪ್ರಯತ್ನಿಸಿ.'
+        }
+    };
+
+    function currentLang() {
+        return (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    }
+
+    function t(key, params = {}) {
+        const template = (MESSAGES[currentLang()] || MESSAGES.en)[key];
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Picks the page language from a data file's { en, kn } value, falling back to English
+    function localized(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return value;
+        return value[currentLang()] || value.en || '';
+    }
+
+    // Shared number and year formatting; format.js loads on every page before this
+    const { formatNumber, formatYearRange } = window.SiteFormat;
+
+    // Dates in the data are YYYY or YYYY-MM; the timeline shows years
+    function yearOf(date) {
+        return date ? String(date).slice(0, 4) : '';
+    }
+
     // ========================================
     // Timeline Component
     // ========================================
 
+    const instances = new WeakMap();
+    let timelineCount = 0;
+
+    /**
+     * Expand/collapse behaviour for a .timeline, optionally rendering its
+     * items first from career data (data-source="../assets/data/career.json").
+     *
+     * Data shape:
+     *   { person: { name, honorificSuffix, jobTitle },
+     *     postings: [{ id, role, organization, department, location, place,
+     *                  start, end, summary, highlights: [], impact: [{ value, prefix, suffix, label }] }] }
+     * Text fields are { en, kn } objects; start/end are YYYY or YYYY-MM and end
+     * is null for the current posting. department and place are the keys the
+     * timeline filters use. tools/build-site.js builds the page's JSON-LD from
+     * the same file.
+     *
+     * There is one controller per container: constructing a second one returns
+     * the first, and Timeline.for(container) looks it up. Items get ids
+     * namespaced by the container's id (career-timeline-<posting id>), and an
+     * item whose id is the URL hash opens on load and on hashchange.
+     *
+     * Container attributes:
+     *   data-source     Career data URL; items are rendered from it
+     *   data-accordion  Keep at most one item open
+     *
+     * Public API (via Timeline.for(container)):
+     *   ready                     Promise that settles once the items are in place and wired up
+     *   expand(target)            Open an item by posting id, element id, index or element
+     *   collapse(target)          Close one
+     *   toggle(target)            Flip one
+     *   expandAll(), collapseAll()  expandAll() ignores accordion mode
+     *   isExpanded(target)
+     *
+     * Every open or close dispatches a bubbling "timeline:toggle" event on the
+     * container with detail { timeline, item, id, index, expanded, source },
+     * source being 'user', 'hash', 'filter' or 'api'.
+     */
     class Timeline {
-        constructor(container) {
+        constructor(container, options = {}) {
+            if (instances.has(container)) return instances.get(container);
+            instances.set(container, this);
+
             this.container = container;
+            this.namespace = container.id || `timeline-${++timelineCount}`;
+            this.accordion = 'accordion' in options ? Boolean(options.accordion) : container.hasAttribute('data-accordion');
             this.items = container.querySelectorAll('.timeline-item');
+
+            window.addEventListener('hashchange', () => this.openFromHash());
+
+            if (container.dataset.source) {
+                this.ready = this.load(new URL(container.dataset.source, document.baseURI));
+            } else {
+                this.init();
+                this.ready = Promise.resolve(this);
+            }
+        }
+
+        async load(url) {
+            this.container.setAttribute('aria-busy', 'true');
+
+            try {
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+                if (!response.ok) {
+                    throw new Error(`Timeline data request failed (${response.status})`);
+                }
+
+                this.render(await response.json());
+            } catch (error) {
+                this.showLoadError();
+            }
+
+            this.container.removeAttribute('aria-busy');
+            return this;
+        }
+
+        // Replaces the timeline's items with the postings in data, then wires them up
+        render(data) {
+            const items = (data.postings || []).map(posting => Timeline.renderItem(posting));
+
+            this.container.replaceChildren(...items);
+            this.items = this.container.querySelectorAll('.timeline-item');
             this.init();
         }
 
+        static renderItem(posting) {
+            const item = document.createElement('div');
+            item.className = 'timeline-item';
+            item.setAttribute('role', 'listitem');
+            item.dataset.id = posting.id;
+            item.dataset.department = posting.department || '';
+            item.dataset.place = posting.place || '';
+            item.dataset.start = yearOf(posting.start);
+            if (posting.end) item.dataset.end = yearOf(posting.end);
+
+            const period = formatYearRange(yearOf(posting.start), posting.end ? yearOf(posting.end) : null);
+
+            item.innerHTML = `
+                <div class="timeline-marker"></div>
+                <div class="timeline-header" tabindex="0" aria-expanded="false">
+                    <div>
+                        <h3 class="timeline-title"></h3>
+                        <p class="timeline-meta"><span class="timeline-place"></span><br><strong class="timeline-period"></strong></p>
+                    </div>
+                    <div class="timeline-toggle" aria-hidden="true">▼</div>
+                </div>
+                <div class="timeline-content">
+                    <p class="timeline-summary"></p>
+                </div>
+            `;
+
+            item.querySelector('.timeline-title').textContent = localized(posting.role);
+            item.querySelector('.timeline-place').textContent = [localized(posting.organization), localized(posting.location)]
+                .filter(Boolean)
+                .join(' • ');
+            item.querySelector('.timeline-period').textContent = period;
+            item.querySelector('.timeline-summary').textContent = localized(posting.summary);
+
+            const content = item.querySelector('.timeline-content');
+            const highlights = (posting.highlights || []).map(localized).filter(Boolean);
+
+            if (highlights.length) {
+                const list = document.createElement('ul');
+                list.className = 'timeline-highlights';
+                highlights.forEach(text => {
+                    const li = document.createElement('li');
+                    li.textContent = text;
+                    list.appendChild(li);
+                });
+                content.appendChild(list);
+            }
+
+            const impact = (posting.impact || []).filter(metric => typeof metric.value === 'number');
+
+            if (impact.length) {
+                const heading = document.createElement('p');
+                heading.className = 'timeline-impact-heading';
+                heading.textContent = t('keyImpact');
+
+                const list = document.createElement('ul');
+                list.className = 'timeline-impact';
+                impact.forEach(metric => {
+                    const li = document.createElement('li');
+                    const value = document.createElement('strong');
+                    value.className = 'timeline-impact-value';
+                    value.textContent = `${metric.prefix || ''}${formatNumber(metric.value)}${metric.suffix || ''}`;
+
+                    const label = document.createElement('span');
+                    label.className = 'timeline-impact-label';
+                    label.textContent = localized(metric.label);
+
+                    li.append(value, ' ', label);
+                    list.appendChild(li);
+                });
+
+                content.append(heading, list);
+            }
+
+            return item;
+        }
+
+        showLoadError() {
+            const message = document.createElement('p');
+            message.className = 'timeline-error';
+            message.setAttribute('role', 'alert');
+            message.textContent = t('loadError');
+            this.container.replaceChildren(message);
+            this.items = this.container.querySelectorAll('.timeline-item');
+        }
+
         init() {
             this.items.forEach((item, index) => {
                 const header = item.querySelector('.timeline-header');
@@ -25,9 +234,14 @@
 
                 if (!header || !content) return;
 
+                // Namespaced, so several timelines on a page never share ids
+                if (!item.id) {
+                    item.id = `${this.namespace}-${item.dataset.id || index}`;
+                }
+
                 // Set up ARIA attributes
-                const headerId = `timeline-header-${index}`;
-                const contentId = `timeline-content-${index}`;
+                const headerId = `${item.id}-header`;
+                const contentId = `${item.id}-content`;
 
                 header.setAttribute('id', headerId);
                 header.setAttribute('aria-controls', contentId);
@@ -41,66 +255,129 @@
                 content.setAttribute('aria-hidden', 'true');
 
                 // Click handler
-                header.addEventListener('click', () => this.toggle(item));
+                header.addEventListener('click', () => this.toggle(item, { source: 'user' }));
 
                 // Keyboard handler
                 header.addEventListener('keydown', (e) => {
                     if (e.key === 'Enter' || e.key === ' ') {
                         e.preventDefault();
-                        this.toggle(item);
+                        this.toggle(item, { source: 'user' });
                     }
                 });
             });
+
+            this.openFromHash();
         }
 
-        toggle(item) {
-            const header = item.querySelector('.timeline-header');
-            const content = item.querySelector('.timeline-content');
+        // An item from a posting id, element id, index, or an element in it
+        getItem(target) {
+            const items = Array.from(this.items);
+
+            if (typeof target === 'number') return items[target] || null;
+            if (typeof target === 'string') {
+                return items.find(item => item.dataset.id === target || item.id === target) || null;
+            }
+            if (target && target.closest) {
+                const item = target.closest('.timeline-item');
+                return items.includes(item) ? item : null;
+            }
+            return null;
+        }
 
-            if (!header || !content) return;
+        isExpanded(target) {
+            const item = this.getItem(target);
+            const header = item && item.querySelector('.timeline-header');
+            return Boolean(header && header.getAttribute('aria-expanded') === 'true');
+        }
 
-            const isExpanded = header.getAttribute('aria-expanded') === 'true';
+        toggle(target, options = {}) {
+            const item = this.getItem(target);
+            if (!item) return;
 
-            // Toggle state
-            header.setAttribute('aria-expanded', !isExpanded);
-            content.setAttribute('aria-hidden', isExpanded);
-            content.classList.toggle('active');
+            const expanded = !this.isExpanded(item);
 
             // Announce change to screen readers
-            this.announceChange(item, !isExpanded);
+            if (this.setExpanded(item, expanded, options)) {
+                this.announceChange(item, expanded);
+            }
         }
 
-        expand(item) {
-            const header = item.querySelector('.timeline-header');
-            const content = item.querySelector('.timeline-content');
+        expand(target, options = {}) {
+            this.setExpanded(target, true, options);
+        }
 
-            if (!header || !content) return;
+        collapse(target, options = {}) {
+            this.setExpanded(target, false, options);
+        }
 
-            header.setAttribute('aria-expanded', 'true');
-            content.setAttribute('aria-hidden', 'false');
-            content.classList.add('active');
+        expandAll(options = {}) {
+            this.items.forEach(item => this.setExpanded(item, true, Object.assign({}, options, { accordion: false })));
         }
 
-        collapse(item) {
-            const header = item.querySelector('.timeline-header');
-            const content = item.querySelector('.timeline-content');
+        collapseAll(options = {}) {
+            this.items.forEach(item => this.setExpanded(item, false, options));
+        }
 
-            if (!header || !content) return;
+        // Returns whether anything changed
+        setExpanded(target, expanded, { source = 'api', accordion = this.accordion } = {}) {
+            const item = this.getItem(target);
+            const header = item && item.querySelector('.timeline-header');
+            const content = item && item.querySelector('.timeline-content');
 
-            header.setAttribute('aria-expanded', 'false');
-            content.setAttribute('aria-hidden', 'true');
-            content.classList.remove('active');
-        }
+            if (!header || !content || this.isExpanded(item) === expanded) return false;
+
+            if (expanded && accordion) {
+                this.items.forEach(other => {
+                    if (other !== item) this.setExpanded(other, false, { source });
+                });
+            }
 
-        expandAll() {
-            this.items.forEach(item => this.expand(item));
+            header.setAttribute('aria-expanded', String(expanded));
+            content.setAttribute('aria-hidden', String(!expanded));
+            content.classList.toggle('active', expanded);
+
+            this.container.dispatchEvent(new CustomEvent('timeline:toggle', {
+                bubbles: true,
+                detail: {
+                    timeline: this,
+                    item,
+                    id: item.dataset.id || item.id,
+                    index: Array.from(this.items).indexOf(item),
+                    expanded,
+                    source
+                }
+            }));
+
+            return true;
         }
 
-        collapseAll() {
-            this.items.forEach(item => this.collapse(item));
+        // Opens the item the URL hash names, or the item holding that element
+        openFromHash() {
+            let id;
+            try {
+                id = decodeURIComponent(location.hash.slice(1));
+            } catch (error) {
+                return;
+            }
+
+            const target = id && document.getElementById(id);
+            const item = target && this.getItem(target);
+            if (!item) return;
+
+            this.expand(item, { source: 'hash' });
+
+            // Rendered items arrive after the browser's own jump to the hash
+            item.scrollIntoView({ block: 'start' });
         }
 
         announceChange(item, isExpanded) {
+            const title = item.querySelector('.timeline-title');
+            const titleText = title ? title.textContent : 'Item';
+
+            this.announce(t(isExpanded ? 'expanded' : 'collapsed', { title: titleText }));
+        }
+
+        announce(message) {
             // Create a live region for screen readers
             let liveRegion = document.getElementById('timeline-live-region');
 
@@ -113,11 +390,295 @@
                 document.body.appendChild(liveRegion);
             }
 
-            const title = item.querySelector('.timeline-title');
-            const titleText = title ? title.textContent : 'Item';
-            const state = isExpanded ? 'expanded' : 'collapsed';
+            liveRegion.textContent = message;
+        }
+    }
 
-            liveRegion.textContent = `${titleText} ${state}`;
+    // ========================================
+    // Timeline Filters (#department=education&from=2004&q=tax)
+    // ========================================
+
+    const FILTER_KEYS = ['q', 'department', 'place', 'from', 'to'];
+    const CURRENT_YEAR = new Date().getFullYear();
+    const ANNOUNCE_DELAY = 500;
+
+    function fold(text) {
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Narrows a Timeline by department, place, year range and free text.
+     * Items describe themselves with data attributes:
+     *
+     *   data-department="education"  Department key, matching an <option> value
+     *   data-place="bengaluru"       Place key, likewise
+     *   data-start="2016"            First year of the posting
+     *   data-end="2020"              Last year; leave it out for "present"
+     *
+     * The form (data-timeline-filters="<timeline id>") ships hidden and is
+     * shown once this is wired up. Text matches are highlighted and their
+     * items expanded; the state is mirrored in the URL hash.
+     */
+    class TimelineFilter {
+        constructor(timeline, form) {
+            this.timeline = timeline;
+            this.form = form;
+            this.fields = {
+                q: form.elements.q,
+                department: form.elements.department,
+                place: form.elements.place,
+                from: form.elements.from,
+                to: form.elements.to
+            };
+            this.count = form.querySelector('.timeline-count');
+            this.years = form.querySelector('.timeline-years-value');
+            // Items opened because they matched the text, closed again when they stop matching
+            this.autoExpanded = new Set();
+            this.announceTimer = null;
+
+            // Once the visitor opens or closes an item themselves, it's theirs
+            timeline.container.addEventListener('timeline:toggle', (e) => {
+                if (e.detail.source !== 'filter') this.autoExpanded.delete(e.detail.item);
+            });
+
+            this.entries = Array.from(timeline.items).map(item => ({
+                item,
+                department: item.dataset.department || '',
+                place: item.dataset.place || '',
+                start: Number(item.dataset.start) || CURRENT_YEAR,
+                end: item.dataset.end ? Number(item.dataset.end) : CURRENT_YEAR,
+                text: fold(item.textContent)
+            }));
+
+            this.init();
+        }
+
+        init() {
+            const starts = this.entries.map(entry => entry.start);
+            const ends = this.entries.map(entry => entry.end);
+            this.bounds = {
+                from: starts.length ? Math.min(...starts) : CURRENT_YEAR,
+                to: ends.length ? Math.max(...ends) : CURRENT_YEAR
+            };
+
+            [this.fields.from, this.fields.to].forEach(range => {
+                if (!range) return;
+                range.min = this.bounds.from;
+                range.max = this.bounds.to;
+                range.step = 1;
+            });
+
+            // Options no item uses would only ever show an empty timeline
+            ['department', 'place'].forEach(key => {
+                const select = this.fields[key];
+                if (!select) return;
+
+                Array.from(select.options).forEach(option => {
+                    option.disabled = option.value !== '' && !this.entries.some(entry => entry[key] === option.value);
+                });
+            });
+
+            this.setState(TimelineFilter.parse(location.hash) || {});
+            this.form.hidden = false;
+
+            // Claim this entry, so coming back to it resets the filter
+            history.replaceState(Object.assign({}, history.state, { timelineFilter: true }), '');
+
+            this.form.addEventListener('submit', (e) => e.preventDefault());
+
+            this.form.addEventListener('reset', (e) => {
+                e.preventDefault();
+                this.setState({});
+                this.update();
+            });
+
+            this.form.addEventListener('input', (e) => {
+                this.keepRangeOrdered(e.target);
+                this.update();
+            });
+
+            // Selects fire change, not input, in some older browsers
+            this.form.addEventListener('change', () => this.update());
+
+            window.addEventListener('popstate', () => {
+                const state = TimelineFilter.parse(location.hash);
+
+                // Someone else's entry, such as the skip link's #main-content
+                if (!state && !(history.state && history.state.timelineFilter)) return;
+
+                this.setState(state || {});
+                this.apply();
+            });
+
+            this.apply({ announce: false });
+        }
+
+        getState() {
+            const from = Number(this.fields.from ? this.fields.from.value : this.bounds.from);
+            const to = Number(this.fields.to ? this.fields.to.value : this.bounds.to);
+
+            return {
+                q: this.fields.q ? this.fields.q.value.trim() : '',
+                department: this.fields.department ? this.fields.department.value : '',
+                place: this.fields.place ? this.fields.place.value : '',
+                from: Math.min(from, to),
+                to: Math.max(from, to)
+            };
+        }
+
+        setState(state) {
+            const clamp = (year, fallback) => {
+                const value = Number(year);
+                return Number.isFinite(value) && year !== null && year !== ''
+                    ? Math.min(Math.max(value, this.bounds.from), this.bounds.to)
+                    : fallback;
+            };
+
+            if (this.fields.q) this.fields.q.value = state.q || '';
+            if (this.fields.from) this.fields.from.value = clamp(state.from, this.bounds.from);
+            if (this.fields.to) this.fields.to.value = clamp(state.to, this.bounds.to);
+
+            ['department', 'place'].forEach(key => {
+                const select = this.fields[key];
+                if (!select) return;
+
+                const option = Array.from(select.options).find(opt => opt.value === (state[key] || ''));
+                select.value = option && !option.disabled ? option.value : '';
+            });
+        }
+
+        // Dragging one thumb past the other pushes the other along
+        keepRangeOrdered(field) {
+            const { from, to } = this.fields;
+            if (!from || !to) return;
+
+            if (field === from && Number(from.value) > Number(to.value)) to.value = from.value;
+            if (field === to && Number(to.value) < Number(from.value)) from.value = to.value;
+        }
+
+        update() {
+            this.apply();
+            history.replaceState(
+                Object.assign({}, history.state, { timelineFilter: true }), '',
+                TimelineFilter.url(this.getState(), this.bounds)
+            );
+        }
+
+        apply({ announce = true } = {}) {
+            const state = this.getState();
+            const terms = fold(state.q).split(' ').filter(Boolean);
+            let shown = 0;
+            let opened = false;
+
+            this.entries.forEach(entry => {
+                const matches = (!state.department || entry.department === state.department) &&
+                    (!state.place || entry.place === state.place) &&
+                    entry.start <= state.to && entry.end >= state.from &&
+                    terms.every(term => entry.text.includes(term));
+
+                entry.item.hidden = !matches;
+                if (matches) shown++;
+
+                TimelineFilter.highlight(entry.item, matches ? terms : []);
+
+                // An accordion only has room for the first match
+                if (matches && terms.length && !(this.timeline.accordion && opened)) {
+                    opened = true;
+                    if (!this.timeline.isExpanded(entry.item)) {
+                        this.timeline.expand(entry.item, { source: 'filter' });
+                        this.autoExpanded.add(entry.item);
+                    }
+                } else if (this.autoExpanded.has(entry.item)) {
+                    this.autoExpanded.delete(entry.item);
+                    this.timeline.collapse(entry.item, { source: 'filter' });
+                }
+            });
+
+            if (this.years) {
+                this.years.textContent = formatYearRange(state.from, state.to);
+            }
+
+            const message = t('count', { shown: formatNumber(shown), total: formatNumber(this.entries.length) });
+            if (this.count) this.count.textContent = message;
+
+            // Wait for typing or dragging to settle before speaking
+            clearTimeout(this.announceTimer);
+            if (announce) {
+                this.announceTimer = setTimeout(() => this.timeline.announce(message), ANNOUNCE_DELAY);
+            }
+        }
+
+        // Wraps each occurrence of the terms in <mark>, removing earlier marks first
+        static highlight(item, terms) {
+            item.querySelectorAll('mark.timeline-mark').forEach(mark => {
+                const parent = mark.parentNode;
+                parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                parent.normalize();
+            });
+
+            if (!terms.length) return;
+
+            const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+            const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => (node.parentElement.closest('.timeline-toggle')
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT)
+            });
+
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            nodes.forEach(node => {
+                const text = node.nodeValue;
+                pattern.lastIndex = 0;
+                if (!pattern.test(text)) return;
+
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+
+                text.replace(pattern, (match, offset) => {
+                    fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+                    const mark = document.createElement('mark');
+                    mark.className = 'timeline-mark';
+                    mark.textContent = match;
+                    fragment.appendChild(mark);
+                    last = offset + match.length;
+                    return match;
+                });
+
+                fragment.appendChild(document.createTextNode(text.slice(last)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        }
+
+        // Returns null for hashes that aren't filter state (e.g. #main-content)
+        static parse(hash) {
+            const params = new URLSearchParams(hash.replace(/^#/, ''));
+            if (!FILTER_KEYS.some(key => params.has(key))) return null;
+
+            return {
+                q: params.get('q') || '',
+                department: params.get('department') || '',
+                place: params.get('place') || '',
+                from: params.get('from'),
+                to: params.get('to')
+            };
+        }
+
+        static url(state, bounds) {
+            const params = new URLSearchParams();
+            if (state.q) params.set('q', state.q);
+            if (state.department) params.set('department', state.department);
+            if (state.place) params.set('place', state.place);
+            if (state.from !== bounds.from) params.set('from', state.from);
+            if (state.to !== bounds.to) params.set('to', state.to);
+
+            const hash = params.toString();
+            return location.pathname + location.search + (hash ? `#${hash}` : '');
         }
     }
 
@@ -129,40 +690,44 @@
         const timelines = document.querySelectorAll('.timeline');
 
         timelines.forEach(timeline => {
-            new Timeline(timeline);
-        });
-
-        // Optional: Add expand/collapse all buttons if they exist
-        const expandAllBtn = document.querySelector('[data-timeline-expand-all]');
-        const collapseAllBtn = document.querySelector('[data-timeline-collapse-all]');
-
-        if (expandAllBtn || collapseAllBtn) {
-            const timelineInstance = timelines.length > 0 ? new Timeline(timelines[0]) : null;
+            const instance = new Timeline(timeline);
+            const form = timeline.id && document.querySelector(`[data-timeline-filters="${timeline.id}"]`);
 
-            if (expandAllBtn && timelineInstance) {
-                expandAllBtn.addEventListener('click', () => {
-                    timelines.forEach(t => {
-                        const instance = new Timeline(t);
-                        instance.expandAll();
-                    });
+            if (form) {
+                instance.ready.then(() => {
+                    if (instance.items.length) new TimelineFilter(instance, form);
                 });
             }
+        });
 
-            if (collapseAllBtn && timelineInstance) {
-                collapseAllBtn.addEventListener('click', () => {
-                    timelines.forEach(t => {
-                        const instance = new Timeline(t);
-                        instance.collapseAll();
-                    });
-                });
-            }
-        }
+        // Optional: expand/collapse all buttons, for every timeline or the one whose id they name
+        const targetsOf = (button, attribute) => {
+            const id = button.getAttribute(attribute);
+            return Array.from(timelines).filter(timeline => !id || timeline.id === id);
+        };
+
+        document.querySelectorAll('[data-timeline-expand-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                targetsOf(button, 'data-timeline-expand-all').forEach(timeline => Timeline.for(timeline).expandAll());
+            });
+        });
+
+        document.querySelectorAll('[data-timeline-collapse-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                targetsOf(button, 'data-timeline-collapse-all').forEach(timeline => Timeline.for(timeline).collapseAll());
+            });
+        });
     }
 
     // ========================================
     // Initialize on DOM Ready
     // ========================================
 
+    // The controller attached to a .timeline, if any
+    Timeline.for = (container) => instances.get(container) || null;
+
+    window.Timeline = Timeline;
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initTimelines);
     } else {
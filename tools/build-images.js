@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * BUILD-IMAGES.JS
+ * Responsive image pipeline: resized AVIF/WebP/JPEG variants, blur-up placeholders and a manifest
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Reads every image under assets/images/ (except generated/) and writes
+ *   assets/images/generated/<path>-<width>.{avif,webp,jpg}
+ *   assets/data/images.json           (format described in tools/lib/images.js)
+ * then turns each <img> in en/ and kn/ that points at a processed image into
+ * <picture> markup with srcset/sizes. Layout widths come from SIZES_BY_CLASS
+ * in lib/images.js, or a sizes attribute on the <img>; they default to 100vw.
+ * build-site.js applies the same manifest whenever it regenerates the pages,
+ * so the two can run in either order. The gallery reads the manifest itself
+ * (data-image-manifest, see gallery.js).
+ *
+ * Run it again, and commit assets/data/images.json and assets/images/generated/,
+ * whenever an image under assets/images/ is added or changed.
+ *
+ * Needs sharp, which is not vendored:
+ *   npm install --no-save sharp
+ *
+ * Usage:
+ *   node tools/build-images.js [--force] [--html-only]
+ *
+ *   --force      Re-encode variants even when they are newer than their source
+ *   --html-only  Skip image processing and apply the existing manifest to the pages
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, IMAGES_DIR, MANIFEST_PATH, FORMATS, toPosix, loadManifest, applyManifest } = require('./lib/images');
+
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'generated');
+const PAGE_DIRS = ['en', 'kn'];
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Variant widths in px; sources narrower than a width get their own width instead
+const WIDTHS = [480, 960, 1600, 2400];
+const PLACEHOLDER_WIDTH = 24;
+
+const ENCODERS = {
+    avif: { extension: '.avif', options: { quality: 50 } },
+    webp: { extension: '.webp', options: { quality: 75 } },
+    jpeg: { extension: '.jpg', options: { quality: 80, mozjpeg: true } }
+};
+
+const options = {
+    force: process.argv.includes('--force'),
+    htmlOnly: process.argv.includes('--html-only')
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function findImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            return file === OUTPUT_DIR ? [] : findImages(file);
+        }
+
+        return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+    });
+}
+
+function isFresh(output, source) {
+    return fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+function variantWidths(width) {
+    const widths = WIDTHS.filter(w => w < width);
+    if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width);
+    return widths;
+}
+
+// ========================================
+// Image Processing
+// ========================================
+
+async function processImage(sharp, file) {
+    const key = toPosix(path.relative(IMAGES_DIR, file));
+    const stem = key.replace(/\.[^.]+$/, '');
+    const metadata = await sharp(file).metadata();
+
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const entry = { width, height, placeholder: '', sources: {} };
+    const written = [];
+
+    for (const format of FORMATS) {
+        const encoder = ENCODERS[format.name];
+        entry.sources[format.name] = [];
+
+        for (const w of variantWidths(width)) {
+            const src = `generated/${stem}-${w}${encoder.extension}`;
+            const output = path.join(IMAGES_DIR, src);
+
+            if (options.force || !isFresh(output, file)) {
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+
+                let pipeline = sharp(file).rotate().resize({ width: w });
+                // JPEG has no alpha; flatten transparent PNGs onto white
+                if (format.name === 'jpeg') pipeline = pipeline.flatten({ background: '#ffffff' });
+
+                await pipeline.toFormat(format.name, encoder.options).toFile(output);
+                written.push(src);
+            }
+
+            entry.sources[format.name].push({ src, width: w });
+        }
+    }
+
+    const placeholder = await sharp(file)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 40 })
+        .toBuffer();
+    entry.placeholder = `data:image/webp;base64,${placeholder.toString('base64')}`;
+
+    return { key, entry, written };
+}
+
+// Delete variants whose source image is gone
+function pruneOutputs(manifest) {
+    if (!fs.existsSync(OUTPUT_DIR)) return 0;
+
+    const expected = new Set();
+    Object.values(manifest.images).forEach(entry => {
+        Object.values(entry.sources).forEach(list => list.forEach(variant => expected.add(variant.src)));
+    });
+
+    let removed = 0;
+    (function walk(dir) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+            const file = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                walk(file);
+                if (fs.readdirSync(file).length === 0) fs.rmdirSync(file);
+            } else if (!expected.has(toPosix(path.relative(IMAGES_DIR, file)))) {
+                fs.unlinkSync(file);
+                removed++;
+            }
+        });
+    })(OUTPUT_DIR);
+
+    return removed;
+}
+
+async function buildImages() {
+    let sharp;
+    try {
+        sharp = require('sharp');
+    } catch (error) {
+        console.error('build-images: sharp is not installed. Run `npm install --no-save sharp` and try again.');
+        process.exit(1);
+    }
+
+    const manifest = { base: toPosix(path.relative(path.dirname(MANIFEST_PATH), IMAGES_DIR)) + '/', images: {} };
+    let written = 0;
+
+    for (const file of findImages(IMAGES_DIR).sort()) {
+        const result = await processImage(sharp, file);
+        manifest.images[result.key] = result.entry;
+        written += result.written.length;
+        console.log(`  ${result.key}: ${result.written.length ? `${result.written.length} variants written` : 'up to date'}`);
+    }
+
+    const removed = pruneOutputs(manifest);
+
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 4) + '\n');
+
+    console.log(`Images: ${Object.keys(manifest.images).length} sources, ${written} variants written, ${removed} stale removed`);
+    return manifest;
+}
+
+// ========================================
+// Page Markup
+// ========================================
+
+function applyToPage(file, manifest) {
+    const original = fs.readFileSync(file, 'utf8');
+    const { html, count } = applyManifest(original, path.dirname(file), manifest);
+
+    if (html !== original) {
+        fs.writeFileSync(file, html);
+    }
+
+    return count;
+}
+
+function applyToPages(manifest) {
+    let total = 0;
+
+    PAGE_DIRS.forEach(dir => {
+        fs.readdirSync(path.join(ROOT, dir))
+            .filter(name => name.endsWith('.html'))
+            .forEach(name => {
+                total += applyToPage(path.join(ROOT, dir, name), manifest);
+            });
+    });
+
+    console.log(`Pages: ${total} images now responsive`);
+}
+
+// ========================================
+// Main
+// ========================================
+
+(async () => {
+    const manifest = options.htmlOnly ? loadManifest() : await buildImages();
+
+    if (!manifest) {
+        console.error(`build-images: ${toPosix(path.relative(ROOT, MANIFEST_PATH))} not found; run without --html-only first.`);
+        process.exit(1);
+    }
+
+    applyToPages(manifest);
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * BUILD-SEARCH.JS
+ * Builds the offline search index (assets/data/search.json) from the en/ and kn/ pages
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Run after build-site.js. Each page's <main> is split into records:
+ *   page      The page hero (its <h1>)
+ *   section   Every <h2>/<h3> block, up to the next heading
+ *   timeline  Each career posting, from assets/data/career.json where the
+ *             page's .timeline renders from it, else each .timeline-item
+ *   award     Each .award-item
+ *   book      Each book on books.html, from assets/data/books.json where the
+ *             .books-grid renders from it, else each .book-card (the home
+ *             page only previews them)
+ *
+ * Every record is { lang, type, page, title, context?, text, url }, where
+ * page is the page's nav label, context the <h2> an <h3> block sits under,
+ * and url is relative to the site root. Headings without an id are linked
+ * with a text fragment (#:~:text=), which browsers that support it scroll to.
+ * search.js does the matching, including Kannada transliteration.
+ *
+ * Usage:
+ *   node tools/build-search.js [--check]
+ *
+ *   --check  Write nothing; exit 1 if the index is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseDocument, findAll, hasClass, textContent } = require('./lib/html');
+const { CAREER_PATH, loadCareer, careerText } = require('./lib/career');
+const { BOOKS_PATH, loadBooks, booksText } = require('./lib/books');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_PATH = path.join(ROOT, 'src', 'site.json');
+const INDEX_PATH = path.join(ROOT, 'assets', 'data', 'search.json');
+
+// Longest text kept per record; enough for matching and snippets
+const MAX_TEXT = 1500;
+
+const ITEM_TYPES = [
+    { className: 'timeline-item', type: 'timeline', title: element => hasClass(element, 'timeline-title') },
+    { className: 'award-item', type: 'award', title: element => element.tag === 'h3' },
+    { className: 'book-card', type: 'book', title: element => hasClass(element, 'book-title'), page: 'books' }
+];
+
+// Containers that a page script fills from a data file at runtime; their items
+// get the ids <container id>-<item id>
+const DATA_SOURCES = [
+    { className: 'timeline', file: CAREER_PATH, type: 'timeline', records: locale => careerText(loadCareer(), locale) },
+    { className: 'books-grid', file: BOOKS_PATH, type: 'book', records: locale => booksText(loadBooks(), locale) }
+];
+
+const SKIPPED_TAGS = new Set(['nav', 'form', 'button', 'select', 'script', 'style', 'noscript', 'template']);
+const HEADING = /^h[1-3]$/;
+
+const options = {
+    check: process.argv.includes('--check')
+};
+
+// ========================================
+// Extraction
+// ========================================
+
+// Hidden markup (e.g. a dashboard scripts fill in and reveal) isn't on the page as served
+function isSkipped(element) {
+    return SKIPPED_TAGS.has(element.tag) ||
+        element.attributes.get('aria-hidden') === 'true' ||
+        element.attributes.has('hidden');
+}
+
+function itemType(element) {
+    return ITEM_TYPES.find(item => hasClass(element, item.className));
+}
+
+function dataSource(element, file) {
+    const source = element.attributes.get('data-source');
+    if (!source) return null;
+
+    const resolved = path.resolve(path.dirname(file), source);
+    return DATA_SOURCES.find(data => hasClass(element, data.className) && data.file === resolved) || null;
+}
+
+function clip(text) {
+    return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT).replace(/\s+\S*$/, '') : text;
+}
+
+// Text fragments need "-", "&" and "," escaped on top of the usual encoding
+function textFragment(text) {
+    return '#:~:text=' + encodeURIComponent(text).replace(/-/g, '%2D').replace(/,/g, '%2C');
+}
+
+function anchorFor(heading, title) {
+    const id = heading.attributes.get('id') || (heading.parent && heading.parent.tag === 'section' && heading.parent.attributes.get('id'));
+    return id ? `#${id}` : textFragment(title);
+}
+
+function extractPage(file, locale, slug) {
+    const doc = parseDocument(fs.readFileSync(file, 'utf8'));
+    const main = findAll(doc, element => element.tag === 'main')[0];
+    if (!main) return [];
+
+    const activeLink = findAll(doc, element => element.tag === 'a' && hasClass(element, 'active'))[0];
+    const pageLabel = activeLink ? textContent(activeLink) : slug;
+    const pageUrl = `${locale}/${slug}.html`;
+
+    const records = [];
+    let current = null;
+    let context = null;
+
+    function addText(record, text) {
+        if (record) record.parts.push(text);
+    }
+
+    function startRecord(heading) {
+        const title = textContent(heading, isSkipped);
+        if (!title) return;
+
+        const level = heading.tag;
+        if (level === 'h2') context = title;
+
+        current = {
+            lang: locale,
+            type: level === 'h1' ? 'page' : 'section',
+            page: pageLabel,
+            title,
+            context: level === 'h3' ? context : null,
+            url: level === 'h1' ? pageUrl : pageUrl + anchorFor(heading, title),
+            parts: []
+        };
+        records.push(current);
+    }
+
+    // The items of a container rendered from data, in place of its fallback markup
+    function addData(element, data) {
+        const containerId = element.attributes.get('id');
+
+        data.records(locale).forEach(entry => {
+            records.push({
+                lang: locale,
+                type: data.type,
+                page: pageLabel,
+                title: entry.title,
+                context: null,
+                url: pageUrl + (containerId ? `#${containerId}-${entry.id}` : textFragment(entry.title)),
+                parts: [entry.text]
+            });
+        });
+    }
+
+    function addItem(element, item) {
+        const heading = findAll(element, item.title)[0];
+        const title = heading ? textContent(heading, isSkipped) : '';
+        if (!title) return;
+
+        records.push({
+            lang: locale,
+            type: item.type,
+            page: pageLabel,
+            title,
+            context: null,
+            url: pageUrl + anchorFor(heading, title),
+            parts: [textContent(element, child => isSkipped(child) || child === heading)]
+        });
+    }
+
+    (function walk(node) {
+        node.children.forEach(child => {
+            if (child.type === 'text') {
+                addText(current, child.text);
+                return;
+            }
+            if (isSkipped(child)) return;
+
+            const item = itemType(child);
+            if (item) {
+                if (!item.page || item.page === slug) addItem(child, item);
+                return;
+            }
+
+            const data = dataSource(child, file);
+            if (data) {
+                addData(child, data);
+                return;
+            }
+
+            if (HEADING.test(child.tag)) {
+                startRecord(child);
+                return;
+            }
+
+            walk(child);
+        });
+    })(main);
+
+    return records.map(record => {
+        const text = clip(record.parts.join(' ').replace(/\s+/g, ' ').trim());
+        const result = { lang: record.lang, type: record.type, page: record.page, title: record.title };
+        if (record.context) result.context = record.context;
+        result.text = text;
+        result.url = record.url;
+        return result;
+    });
+}
+
+// ========================================
+// Main
+// ========================================
+
+function pagesFor(site, locale) {
+    const dir = path.join(ROOT, locale);
+    const available = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.endsWith('.html')) : [];
+    const ordered = site ? site.pages.map(page => `${page.slug}.html`) : [];
+
+    return ordered.filter(name => available.includes(name))
+        .concat(available.filter(name => !ordered.includes(name)).sort());
+}
+
+function build() {
+    const site = fs.existsSync(SITE_PATH) ? JSON.parse(fs.readFileSync(SITE_PATH, 'utf8')) : null;
+    const locales = site ? site.locales : ['en', 'kn'];
+    const records = [];
+
+    locales.forEach(locale => {
+        pagesFor(site, locale).forEach(name => {
+            records.push(...extractPage(path.join(ROOT, locale, name), locale, name.replace(/\.html$/, '')));
+        });
+    });
+
+    // One record per line keeps diffs readable without the size of full pretty-printing
+    const json = `{\n"records": [\n${records.map(record => JSON.stringify(record)).join(',\n')}\n]\n}\n`;
+    const current = fs.existsSync(INDEX_PATH) ? fs.readFileSync(INDEX_PATH, 'utf8') : null;
+    const label = path.relative(ROOT, INDEX_PATH).split(path.sep).join('/');
+
+    if (options.check) {
+        if (current !== json) {
+            console.error(`build-search: ${label} is out of date. Run \`node tools/build-search.js\` and commit the result.`);
+            process.exit(1);
+        }
+        console.log(`Search: ${records.length} records up to date`);
+        return;
+    }
+
+    if (current !== json) {
+        fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+        fs.writeFileSync(INDEX_PATH, json);
+    }
+
+    const counts = records.reduce((totals, record) => {
+        totals[record.type] = (totals[record.type] || 0) + 1;
+        return totals;
+    }, {});
+    console.log(`Search: ${records.length} records (${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}) written to ${label}`);
+}
+
+build();
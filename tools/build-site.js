@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * BUILD-SITE.JS
+ * Static site generator: builds en/ and kn/ from shared templates and per-locale content
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Sources live in src/:
+ *   site.json                    The site's address, locales, pages (slug, page scripts
+ *                                and structured data), fonts, stylesheets and each
+ *                                locale's numerals
+ *   locales/<locale>.json        Site chrome strings: skip link, nav labels, footer
+ *   layouts/base.html            The page shell
+ *   partials/*.html              Header, footer and footer sections
+ *   content/<locale>/<slug>.html The page's <main> content, after a front matter
+ *                                block with title, description and optional
+ *                                keywords/author:
+ *
+ *                                  ---
+ *                                  title: Books | Dr. M. R. Ravi, IAS
+ *                                  description: Published works by ...
+ *                                  ---
+ *                                  <section class="page-hero"> ...
+ *
+ *   content/<locale>/<slug>.head.html  Optional extra <head> markup for one page
+ *
+ * A page's "structuredData" names JSON-LD blocks to add to its <head>; "career"
+ * is built from assets/data/career.json (see lib/career.js) and "books" from
+ * assets/data/books.json (see lib/books.js). Their URLs are absolute, on the
+ * site's "url".
+ *
+ * "numerals" picks "native" or "latin" digits per locale (latin when unset);
+ * it becomes <html data-numerals>, which format.js reads when writing numbers.
+ *
+ * Every page is written to <locale>/<slug>.html, so URLs and the hooks that
+ * main.js, timeline.js, books.js, gallery.js and form.js look for stay the
+ * same. When assets/data/images.json exists its responsive image markup is
+ * applied too (see build-images.js).
+ *
+ * Templates use {{name}} for escaped text and {{{name}}} for markup; names may
+ * be dotted paths such as {{strings.footer.name}}. A {{{name}}} alone on its
+ * line is indented to match that line, and the line is dropped when empty.
+ *
+ * Usage:
+ *   node tools/build-site.js [--check]
+ *
+ *   --check  Write nothing; exit 1 if any page differs from its sources
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, escapeAttribute, renderJsonLd } = require('./lib/html');
+const { ROOT, loadManifest, applyManifest } = require('./lib/images');
+const { loadCareer, careerJsonLd } = require('./lib/career');
+const { loadBooks, booksJsonLd } = require('./lib/books');
+
+const SRC_DIR = path.join(ROOT, 'src');
+const ASSET_PREFIX = '../assets/';
+
+const options = {
+    check: process.argv.includes('--check')
+};
+
+// ========================================
+// Templates
+// ========================================
+
+// One pass, so inserted values are never scanned for placeholders themselves:
+// a {{{block}}} alone on its line, an inline {{{raw}}} value, or {{text}}
+const PLACEHOLDER_PATTERN = /^([ \t]*)\{\{\{\s*([\w.]+)\s*\}\}\}[ \t]*(?:\n|$)|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/gm;
+
+const templates = new Map();
+
+function readSource(file) {
+    // Strip a byte order mark so it never ends up mid-page
+    return fs.readFileSync(path.join(SRC_DIR, file), 'utf8').replace(/^\uFEFF/, '');
+}
+
+function template(file) {
+    if (!templates.has(file)) {
+        templates.set(file, readSource(file).replace(/\n$/, ''));
+    }
+    return templates.get(file);
+}
+
+function lookup(values, name, file) {
+    const value = name.split('.').reduce((scope, key) => (scope == null ? undefined : scope[key]), values);
+
+    if (value === undefined || value === null) {
+        throw new Error(`${file}: no value for "${name}"`);
+    }
+
+    return String(value);
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+function render(file, values) {
+    return template(file).replace(PLACEHOLDER_PATTERN, (match, prefix, block, raw, text) => {
+        if (block) {
+            const value = lookup(values, block, file);
+            return value ? indent(value, prefix) + '\n' : '';
+        }
+        return raw ? lookup(values, raw, file) : escapeHtml(lookup(values, text, file));
+    });
+}
+
+// ========================================
+// Content
+// ========================================
+
+/**
+ * "---\nkey: value\n---\nbody" -> { data: { key: 'value' }, body }
+ * Only flat "key: value" pairs; values run to the end of the line.
+ */
+function parseFrontMatter(text, file) {
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) {
+        throw new Error(`${file}: missing front matter`);
+    }
+
+    const data = {};
+    match[1].split('\n').forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const separator = line.indexOf(':');
+        if (separator < 1) {
+            throw new Error(`${file}:${index + 2}: expected "key: value"`);
+        }
+        data[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+
+    return { data, body: text.slice(match[0].length).replace(/\s+$/, '') };
+}
+
+function loadJson(file) {
+    try {
+        return JSON.parse(readSource(file));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+function loadPage(locale, slug) {
+    const file = `content/${locale}/${slug}.html`;
+    if (!fs.existsSync(path.join(SRC_DIR, file))) {
+        throw new Error(`${file} is missing; every locale needs every page`);
+    }
+
+    const { data, body } = parseFrontMatter(readSource(file), file);
+    ['title', 'description'].forEach(key => {
+        if (!data[key]) throw new Error(`${file}: front matter needs a ${key}`);
+    });
+
+    const headFile = `content/${locale}/${slug}.head.html`;
+    const head = fs.existsSync(path.join(SRC_DIR, headFile)) ? readSource(headFile).replace(/\s+$/, '') : '';
+
+    return { file, data, body, head };
+}
+
+// ========================================
+// Page Assembly
+// ========================================
+
+function pageHref(slug, locale, fromLocale) {
+    return locale === fromLocale ? `${slug}.html` : `../${locale}/${slug}.html`;
+}
+
+function renderMeta(data) {
+    return ['description', 'keywords', 'author']
+        .filter(name => data[name])
+        .map(name => `<meta name="${name}"\n    content="${escapeAttribute(data[name])}">`)
+        .join('\n');
+}
+
+function renderNav(site, strings, current) {
+    return site.pages.map(page => {
+        const active = page.slug === current ? ' class="active"' : '';
+        return `<li><a href="${page.slug}.html"${active}>${escapeHtml(strings.nav[page.slug])}</a></li>`;
+    }).join('\n');
+}
+
+function renderLinks(links) {
+    return links.map(link => {
+        // Language links name their target language; main.js hooks onto hreflang
+        const lang = link.lang ? ` hreflang="${link.lang}" lang="${link.lang}"` : '';
+        return `<a href="${escapeAttribute(link.href)}"${lang}>${escapeHtml(link.label)}</a>`;
+    }).join('\n');
+}
+
+function renderAlternates(site, slug, locale) {
+    return site.locales
+        .map(other => `<link rel="alternate" hreflang="${other}" href="${pageHref(slug, other, locale)}">`)
+        .join('\n');
+}
+
+// JSON-LD a page can ask for with "structuredData": [...] in site.json
+const STRUCTURED_DATA = {
+    career: locale => careerJsonLd(loadCareer(), locale),
+    books: (locale, site) => booksJsonLd(loadBooks(), locale, site.url)
+};
+
+function renderStructuredData(site, pageConfig, locale) {
+    return (pageConfig.structuredData || []).map(name => {
+        if (!STRUCTURED_DATA[name]) {
+            throw new Error(`site.json: unknown structuredData "${name}" on page ${pageConfig.slug}`);
+        }
+        return renderJsonLd(STRUCTURED_DATA[name](locale, site));
+    }).join('\n');
+}
+
+function renderFooter(site, strings, locale, slug) {
+    const sections = strings.footer.sections.map(section => ({
+        heading: section.heading,
+        links: Object.entries(section.links).map(([target, label]) => ({ href: `${target}.html`, label }))
+    }));
+
+    sections.push({
+        heading: strings.footer.language,
+        links: site.locales.map(other => ({
+            href: pageHref(slug, other, locale),
+            label: strings.footer.languages[other],
+            lang: other
+        }))
+    });
+
+    return render('partials/footer.html', {
+        strings,
+        tagline: strings.footer.tagline.map(escapeHtml).join('<br>\n'),
+        sections: sections
+            .map(section => render('partials/footer-section.html', {
+                heading: section.heading,
+                links: renderLinks(section.links)
+            }))
+            .join('\n\n')
+    });
+}
+
+function buildPage(site, locales, locale, pageConfig) {
+    const strings = locales[locale];
+    const page = loadPage(locale, pageConfig.slug);
+    const other = site.locales.find(code => code !== locale) || locale;
+
+    const header = render('partials/header.html', {
+        strings,
+        nav: renderNav(site, strings, pageConfig.slug),
+        alternate: {
+            href: pageHref(pageConfig.slug, other, locale),
+            label: locales[other].name,
+            lang: other
+        }
+    });
+
+    const scripts = site.scripts.concat(pageConfig.scripts || []);
+    const head = [page.head, renderStructuredData(site, pageConfig, locale)].filter(Boolean).join('\n');
+
+    return render('layouts/base.html', {
+        source: `src/${page.file}`,
+        lang: locale,
+        numerals: (site.numerals || {})[locale] || 'latin',
+        strings,
+        meta: renderMeta(page.data),
+        title: page.data.title,
+        alternates: renderAlternates(site, pageConfig.slug, locale),
+        fonts: site.fonts,
+        head: head ? head + '\n' : '',
+        styles: site.styles.map(name => `<link rel="stylesheet" href="${ASSET_PREFIX}css/${name}">`).join('\n'),
+        header,
+        content: page.body,
+        footer: renderFooter(site, strings, locale, pageConfig.slug),
+        scripts: scripts.map(name => `<script src="${ASSET_PREFIX}js/${name}"></script>`).join('\n')
+    }) + '\n';
+}
+
+// ========================================
+// Main
+// ========================================
+
+function build() {
+    const site = loadJson('site.json');
+    const locales = {};
+    site.locales.forEach(locale => {
+        locales[locale] = loadJson(`locales/${locale}.json`);
+    });
+
+    const manifest = loadManifest();
+    const changed = [];
+    let total = 0;
+
+    site.locales.forEach(locale => {
+        const outputDir = path.join(ROOT, locale);
+
+        site.pages.forEach(pageConfig => {
+            const output = path.join(outputDir, `${pageConfig.slug}.html`);
+            let html = buildPage(site, locales, locale, pageConfig);
+
+            if (manifest) {
+                html = applyManifest(html, outputDir, manifest).html;
+            }
+
+            total++;
+            const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : null;
+            if (current === html) return;
+
+            changed.push(`${locale}/${pageConfig.slug}.html`);
+            if (!options.check) {
+                fs.mkdirSync(outputDir, { recursive: true });
+                fs.writeFileSync(output, html);
+            }
+        });
+    });
+
+    if (options.check) {
+        if (changed.length) {
+            console.error(`build-site: out of date with src/:\n${changed.map(file => `  ${file}`).join('\n')}`);
+            console.error('Run `node tools/build-site.js` and commit the result.');
+            process.exit(1);
+        }
+        console.log(`Pages: ${total} up to date`);
+        return;
+    }
+
+    changed.forEach(file => console.log(`  ${file}`));
+    console.log(`Pages: ${total} built, ${changed.length} changed`);
+}
+
+try {
+    build();
+} catch (error) {
+    console.error(`build-site: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * CHECK-PARITY.JS
+ * Translation parity checker: compares every en/ page with its kn/ counterpart
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * For each page pair it compares
+ *   - <html lang> against the folder
+ *   - landmarks (header, nav, main, aside, footer, form, section, landmark
+ *     roles) and other ARIA roles
+ *   - element ids, headings per level and the counts of repeated items
+ *     (.timeline-item, .award-item, .book-card, .gallery-item)
+ *   - nav menu and footer link targets
+ *   - the .lang-toggle target, which must be the same page in the other language
+ * and looks for untranslated text: text or alt/title/aria-label/placeholder
+ * values on the translated page with Latin words but no Kannada. Mark text
+ * that is meant to stay in English with lang="en" (or translate="no").
+ *
+ * Localized {"en": ..., "kn": ...} values in assets/data/*.json are checked
+ * the same way, so gallery and other manifest entries can't lose their
+ * Kannada text either.
+ *
+ * Usage:
+ *   node tools/check-parity.js [page ...]
+ *
+ *   page  Page names to check, e.g. "journey" or "journey.html"; default all
+ *
+ * Exits 1 when anything is reported.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities, parseDocument, findAll, hasClass } = require('./lib/html');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'assets', 'data');
+
+const SOURCE_LOCALE = 'en';
+const TARGET_LOCALE = 'kn';
+
+// Characters that show a string has been translated
+const TARGET_SCRIPT = /[\u0C80-\u0CFF]/;
+// Two or more Latin words, ignoring single letters and initials
+const LATIN_WORDS = /[A-Za-z]{2,}[^A-Za-z\u0C80-\u0CFF]+[A-Za-z]{2,}|[A-Za-z]{4,}/;
+const IGNORED_TEXT = /^(?:\S+@\S+\.\S+|https?:\/\/\S+|[\d\s.,:;/+()%–-]*)$/;
+
+const LANDMARKS = ['header', 'nav', 'main', 'aside', 'footer', 'form', 'section'];
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'region', 'search', 'form'];
+const ITEM_CLASSES = ['timeline-item', 'award-item', 'book-card', 'gallery-item'];
+const TEXT_ATTRIBUTES = ['alt', 'title', 'aria-label', 'placeholder'];
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'code', 'pre', 'noscript']);
+
+// ========================================
+// Page Profile
+// ========================================
+
+function countBy(elements, key) {
+    const counts = new Map();
+    elements.forEach(element => {
+        const name = key(element);
+        if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * href as a site path with the locale folder replaced by "*", so
+ * en/books.html and kn/books.html compare equal.
+ */
+function normalizeHref(href, locale) {
+    if (!href || /^(?:[a-z]+:|\/\/|#)/i.test(href)) return href;
+    const resolved = path.posix.normalize(path.posix.join(locale, href.split('#')[0]));
+    return resolved.replace(/^(en|kn)\//, '*/');
+}
+
+function profile(file, locale) {
+    const html = fs.readFileSync(file, 'utf8');
+    const doc = parseDocument(html);
+    const elements = findAll(doc, () => true);
+    const htmlElement = elements.find(element => element.tag === 'html');
+    const links = selector => findAll(doc, selector).flatMap(container => findAll(container, element => element.tag === 'a'));
+
+    return {
+        doc,
+        lang: htmlElement ? htmlElement.attributes.get('lang') : null,
+        landmarks: new Map([
+            ...countBy(elements, element => (LANDMARKS.includes(element.tag) ? `<${element.tag}>` : null)),
+            ...countBy(elements, element => (LANDMARK_ROLES.includes(element.attributes.get('role')) ? `[role=${element.attributes.get('role')}]` : null))
+        ]),
+        roles: countBy(elements, element => {
+            const role = element.attributes.get('role');
+            return role && !LANDMARK_ROLES.includes(role) ? `[role=${role}]` : null;
+        }),
+        headings: countBy(elements, element => (/^h[1-6]$/.test(element.tag) ? element.tag : null)),
+        items: new Map(ITEM_CLASSES.map(name => [`.${name}`, elements.filter(element => hasClass(element, name)).length])),
+        ids: new Set(elements.filter(element => element.attributes.has('id')).map(element => element.attributes.get('id'))),
+        nav: links(element => hasClass(element, 'nav-menu')).map(link => normalizeHref(link.attributes.get('href'), locale)),
+        footer: links(element => hasClass(element, 'footer-links')).map(link => normalizeHref(link.attributes.get('href'), locale)),
+        toggle: elements.filter(element => hasClass(element, 'lang-toggle')).map(element => element.attributes.get('href'))
+    };
+}
+
+// ========================================
+// Comparisons
+// ========================================
+
+function compareCounts(label, source, target, problems) {
+    new Set([...source.keys(), ...target.keys()]).forEach(name => {
+        const a = source.get(name) || 0;
+        const b = target.get(name) || 0;
+        if (a !== b) problems.push(`${label} ${name}: ${SOURCE_LOCALE} ${a}, ${TARGET_LOCALE} ${b}`);
+    });
+}
+
+function compareLists(label, source, target, problems) {
+    if (source.join('\n') === target.join('\n')) return;
+
+    const missing = source.filter(item => !target.includes(item));
+    const extra = target.filter(item => !source.includes(item));
+    const details = [
+        missing.length ? `missing ${missing.join(', ')}` : '',
+        extra.length ? `extra ${extra.join(', ')}` : ''
+    ].filter(Boolean).join('; ');
+
+    problems.push(`${label} differ${details ? `: ${details}` : ' in order'}`);
+}
+
+function checkToggle(name, locale, otherLocale, hrefs, problems) {
+    const expected = `../${otherLocale}/${name}`;
+
+    if (!hrefs.length) {
+        problems.push(`${locale}/${name}: no .lang-toggle`);
+    }
+    hrefs.filter(href => href !== expected).forEach(href => {
+        problems.push(`${locale}/${name}: .lang-toggle points to ${href}, expected ${expected}`);
+    });
+    if (!fs.existsSync(path.join(ROOT, otherLocale, name))) {
+        problems.push(`${locale}/${name}: .lang-toggle target ${otherLocale}/${name} does not exist`);
+    }
+}
+
+// ========================================
+// Untranslated Text
+// ========================================
+
+function looksUntranslated(text) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    return Boolean(value) && !IGNORED_TEXT.test(value) && !TARGET_SCRIPT.test(value) && LATIN_WORDS.test(value);
+}
+
+function isExempt(element) {
+    const lang = element.attributes.get('lang');
+    const href = element.attributes.get('href') || '';
+
+    return SKIPPED_ELEMENTS.has(element.tag)
+        || element.attributes.get('translate') === 'no'
+        || (lang !== undefined && lang !== TARGET_LOCALE && element.tag !== 'html')
+        // Links to the other language are labelled in that language
+        || (element.tag === 'a' && href.startsWith(`../${SOURCE_LOCALE}/`));
+}
+
+function describe(element) {
+    const className = (element.attributes.get('class') || '').split(/\s+/)[0];
+    return `<${element.tag}${className ? `.${className}` : ''}> line ${element.line}`;
+}
+
+function quote(text) {
+    const value = text.replace(/\s+/g, ' ').trim();
+    return JSON.stringify(value.length > 60 ? `${value.slice(0, 57)}...` : value);
+}
+
+function findUntranslated(doc) {
+    const found = [];
+    const body = findAll(doc, element => element.tag === 'body')[0];
+
+    (function walk(element) {
+        if (isExempt(element)) return;
+
+        TEXT_ATTRIBUTES.forEach(name => {
+            const value = element.attributes.get(name);
+            if (value && looksUntranslated(value)) {
+                found.push(`untranslated ${name} on ${describe(element)}: ${quote(value)}`);
+            }
+        });
+
+        element.children.forEach(child => {
+            if (child.type === 'element') {
+                walk(child);
+            } else if (looksUntranslated(decodeEntities(child.text))) {
+                found.push(`untranslated text in ${describe(element)}: ${quote(decodeEntities(child.text))}`);
+            }
+        });
+    })(body || doc);
+
+    return found;
+}
+
+// ========================================
+// Pages
+// ========================================
+
+function pageNames(filter) {
+    const names = new Set();
+    [SOURCE_LOCALE, TARGET_LOCALE].forEach(locale => {
+        const dir = path.join(ROOT, locale);
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir).filter(name => name.endsWith('.html')).forEach(name => names.add(name));
+        }
+    });
+
+    const wanted = filter.map(name => (name.endsWith('.html') ? name : `${name}.html`));
+    return Array.from(names).filter(name => !wanted.length || wanted.includes(name)).sort();
+}
+
+function checkPage(name) {
+    const sourceFile = path.join(ROOT, SOURCE_LOCALE, name);
+    const targetFile = path.join(ROOT, TARGET_LOCALE, name);
+    const problems = [];
+
+    if (!fs.existsSync(sourceFile) || !fs.existsSync(targetFile)) {
+        const missing = fs.existsSync(sourceFile) ? TARGET_LOCALE : SOURCE_LOCALE;
+        return [`${missing}/${name} does not exist`];
+    }
+
+    const source = profile(sourceFile, SOURCE_LOCALE);
+    const target = profile(targetFile, TARGET_LOCALE);
+
+    [[source, SOURCE_LOCALE], [target, TARGET_LOCALE]].forEach(([page, locale]) => {
+        if (page.lang !== locale) problems.push(`${locale}/${name}: <html lang="${page.lang}">, expected "${locale}"`);
+    });
+
+    compareCounts('landmark', source.landmarks, target.landmarks, problems);
+    compareCounts('role', source.roles, target.roles, problems);
+    compareCounts('heading', source.headings, target.headings, problems);
+    compareCounts('items', source.items, target.items, problems);
+    compareLists('ids', Array.from(source.ids).sort(), Array.from(target.ids).sort(), problems);
+    compareLists('nav links', source.nav, target.nav, problems);
+    compareLists('footer links', source.footer, target.footer, problems);
+
+    checkToggle(name, SOURCE_LOCALE, TARGET_LOCALE, source.toggle, problems);
+    checkToggle(name, TARGET_LOCALE, SOURCE_LOCALE, target.toggle, problems);
+
+    return problems.concat(findUntranslated(target.doc));
+}
+
+// ========================================
+// Data Files
+// ========================================
+
+/**
+ * Walks a JSON value and reports every { en, kn } pair whose kn side is
+ * missing, empty or still English.
+ */
+function checkLocalizedValues(value, pointer, problems) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => checkLocalizedValues(item, `${pointer}/${index}`, problems));
+        return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (typeof value[SOURCE_LOCALE] === 'string') {
+        const source = value[SOURCE_LOCALE];
+        const target = value[TARGET_LOCALE];
+
+        if (typeof target !== 'string' || !target.trim()) {
+            if (source.trim()) problems.push(`${pointer}: no ${TARGET_LOCALE} text for ${quote(source)}`);
+        } else if (looksUntranslated(target)) {
+            problems.push(`${pointer}: ${TARGET_LOCALE} text is untranslated: ${quote(target)}`);
+        }
+        return;
+    }
+
+    Object.keys(value).forEach(key => checkLocalizedValues(value[key], `${pointer}/${key}`, problems));
+}
+
+function checkDataFiles() {
+    if (!fs.existsSync(DATA_DIR)) return [];
+
+    return fs.readdirSync(DATA_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => {
+            const problems = [];
+            try {
+                checkLocalizedValues(JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), 'utf8')), '', problems);
+            } catch (error) {
+                problems.push(`could not be read: ${error.message}`);
+            }
+            return { label: `assets/data/${name}`, problems };
+        });
+}
+
+// ========================================
+// Main
+// ========================================
+
+function main() {
+    const filter = process.argv.slice(2);
+    const names = pageNames(filter);
+
+    if (filter.length && !names.length) {
+        console.error(`check-parity: no pages match ${filter.join(', ')}`);
+        process.exit(1);
+    }
+
+    const results = names.map(name => ({ label: name, problems: checkPage(name) }));
+    if (!filter.length) results.push(...checkDataFiles());
+
+    let total = 0;
+    results.forEach(result => {
+        if (!result.problems.length) return;
+        total += result.problems.length;
+        console.log(result.label);
+        result.problems.forEach(problem => console.log(`  ${problem}`));
+    });
+
+    if (total) {
+        console.log(`\nParity: ${total} problem${total === 1 ? '' : 's'} in ${results.filter(result => result.problems.length).length} of ${results.length} files`);
+        process.exit(1);
+    }
+
+    console.log(`Parity: ${results.length} files match`);
+}
+
+main();
@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+/**
+ * CONTACT-SERVER.JS
+ * Local stand-in for the contact form endpoint (no dependencies)
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Serves the built site (index.html, en/, kn/ and assets/) from the
+ * repository root and answers POST /api/contact
+ * with the same JSON contract the production endpoint uses (see form.js).
+ *
+ * Usage:
+ *   node tools/contact-server.js [--port 8080] [--delay 0] [--fail-rate 0] [--pow 0]
+ *
+ *   --port       Port to listen on (env PORT)
+ *   --delay      Artificial response delay in ms, to exercise the pending
+ *                state and client timeout (env CONTACT_DELAY)
+ *   --fail-rate  Fraction of requests (0-1) answered with 503, to exercise
+ *                client retries (env CONTACT_FAIL_RATE)
+ *   --pow        Proof-of-work difficulty in leading zero bits; when set,
+ *                submissions must carry a solved GET /api/challenge token
+ *                (env CONTACT_POW). Pair with data-pow-endpoint="/api/challenge".
+ *
+ * Then open http://localhost:8080/en/contact.html
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The contact form's attachment input: data-max-files, data-max-size and accept
+const ATTACHMENTS = {
+    maxFiles: 5,
+    maxSize: 5 * 1024 * 1024,
+    extensions: ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.webp']
+};
+
+// Every attachment at its largest, plus the text fields
+const MAX_BODY_BYTES = ATTACHMENTS.maxFiles * ATTACHMENTS.maxSize + 5 * 1024 * 1024;
+
+// Everything the site is made of; the rest of the repository (.git, src/,
+// tools/, ...) is never served
+const PUBLIC_FILES = ['index.html'];
+const PUBLIC_DIRS = ['en', 'kn', 'assets'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+// ========================================
+// Options
+// ========================================
+
+function readOption(name, envName, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    if (index !== -1 && process.argv[index + 1] !== undefined) {
+        return Number(process.argv[index + 1]);
+    }
+    if (process.env[envName] !== undefined) {
+        return Number(process.env[envName]);
+    }
+    return fallback;
+}
+
+const options = {
+    port: readOption('port', 'PORT', 8080),
+    delay: readOption('delay', 'CONTACT_DELAY', 0),
+    failRate: readOption('fail-rate', 'CONTACT_FAIL_RATE', 0),
+    pow: readOption('pow', 'CONTACT_POW', 0)
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(req, raw) {
+    const contentType = req.headers['content-type'] || '';
+    const type = contentType.split(';')[0].trim();
+
+    if (type === 'application/json') {
+        return JSON.parse(raw.toString('utf8') || '{}');
+    }
+
+    if (type === 'application/x-www-form-urlencoded') {
+        return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+    }
+
+    if (type === 'multipart/form-data') {
+        const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+        if (!match) throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+        return parseMultipart(raw, match[1] || match[2]);
+    }
+
+    throw Object.assign(new Error(`Unsupported content type: ${type || 'none'}`), { status: 415 });
+}
+
+// Minimal multipart/form-data parser: text parts become strings, file
+// parts become { filename, type, size } under a files array per field
+function parseMultipart(raw, boundary) {
+    const data = {};
+    const delimiter = Buffer.from(`--${boundary}`);
+    let start = raw.indexOf(delimiter);
+
+    while (start !== -1) {
+        const partStart = start + delimiter.length + 2; // skip CRLF
+        const end = raw.indexOf(delimiter, partStart);
+        if (end === -1) break;
+
+        const part = raw.subarray(partStart, end - 2); // drop trailing CRLF
+        const headerEnd = part.indexOf('\r\n\r\n');
+
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const content = part.subarray(headerEnd + 4);
+            const name = (headers.match(/name="([^"]*)"/) || [])[1];
+            const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+            const type = (headers.match(/Content-Type:\s*([^\r\n]+)/i) || [])[1];
+
+            if (name && filename !== undefined) {
+                if (filename) {
+                    data[name] = (data[name] || []).concat({ filename, type, size: content.length });
+                }
+            } else if (name) {
+                data[name] = content.toString('utf8');
+            }
+        }
+
+        start = end;
+    }
+
+    return data;
+}
+
+// ========================================
+// Contact Endpoint
+// ========================================
+
+// Responses follow the Accept-Language header sent by form.js
+const MESSAGES = {
+    en: {
+        required: 'This field is required',
+        email: 'Please enter a valid email address',
+        minlength: 'Must be at least 20 characters',
+        phone: 'Please enter a valid Indian mobile number (10 digits starting with 6–9)',
+        attachType: '“{name}” is not an accepted file type',
+        attachSize: '“{name}” is larger than {max}',
+        attachCount: 'You can attach up to {max} files',
+        invalid: 'Please correct the highlighted fields.',
+        received: 'Your message has been received. We will get back to you soon.',
+        unavailable: 'Service temporarily unavailable',
+        rejected: 'Your message was flagged as automated and was not sent.'
+    },
+    kn: {
+        required: 'ಈ ಕ್ಷೇತ್ರ ಕಡ್ಡಾಯವಾಗಿದೆ',
+        email: 'ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ ಇಮೇಲ್ ವಿಳಾಸವನ್ನು ನಮೂದಿಸಿ',
+        minlength: 'ಕನಿಷ್ಠ 20 ಅಕ್ಷರಗಳಿರಬೇಕು',
+        phone: 'ದಯವಿಟ್ಟು ಮಾನ್ಯವಾದ ಭಾರತೀಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ (6–9 ರಿಂದ ಆರಂಭವಾಗುವ 10 ಅಂಕಿಗಳು)',
+        attachType: '“{name}” ಸ್ವೀಕಾರಾರ್ಹ ಕಡತ ಪ್ರಕಾರವಲ್ಲ',
+        attachSize: '“{name}” {max} ಗಿಂತ ದೊಡ್ಡದಾಗಿದೆ',
+        attachCount: 'ಗರಿಷ್ಠ {max} ಕಡತಗಳನ್ನು ಮಾತ್ರ ಲಗತ್ತಿಸಬಹುದು',
+        invalid: 'ದಯವಿಟ್ಟು ಗುರುತಿಸಲಾದ ಕ್ಷೇತ್ರಗಳನ್ನು ಸರಿಪಡಿಸಿ.',
+        received: 'ನಿಮ್ಮ ಸಂದೇಶ ನಮಗೆ ತಲುಪಿದೆ. ಶೀಘ್ರದಲ್ಲೇ ನಿಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸುತ್ತೇವೆ.',
+        unavailable: 'ಸೇವೆ ತಾತ್ಕಾಲಿಕವಾಗಿ ಲಭ್ಯವಿಲ್ಲ',
+        rejected: 'ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಸ್ವಯಂಚಾಲಿತ ಎಂದು ಗುರುತಿಸಲಾಗಿದೆ ಮತ್ತು ಕಳುಹಿಸಲಾಗಿಲ್ಲ.'
+    }
+};
+
+function messagesFor(req) {
+    const lang = (req.headers['accept-language'] || '').split(/[,;-]/)[0].trim().toLowerCase();
+    return MESSAGES[lang] || MESSAGES.en;
+}
+
+function fill(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Fields each enquiry category adds on top of the common ones
+const CATEGORY_REQUIRED = {
+    general: [],
+    speaking: ['organization', 'event_date'],
+    media: ['outlet'],
+    books: ['book', 'quantity'],
+    grievance: ['district']
+};
+
+// Mirrors the constraints declared on the contact form markup
+function validateContact(data, messages) {
+    const errors = {};
+    const value = name => (typeof data[name] === 'string' ? data[name].trim() : '');
+
+    const category = CATEGORY_REQUIRED[value('category')] ? value('category') : 'general';
+
+    ['name', 'email', 'subject', 'message'].concat(CATEGORY_REQUIRED[category]).forEach(name => {
+        if (!value(name)) {
+            errors[name] = messages.required;
+        }
+    });
+
+    if (value('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value('email'))) {
+        errors.email = messages.email;
+    }
+
+    if (value('message') && value('message').length < 20) {
+        errors.message = messages.minlength;
+    }
+
+    if (value('phone') && !/^(?:\+?91|0)?[6-9]\d{9}$/.test(value('phone').replace(/[\s-]/g, ''))) {
+        errors.phone = messages.phone;
+    }
+
+    const attachmentErrors = validateAttachments(data.attachments, messages);
+    if (attachmentErrors.length > 0) {
+        errors.attachments = attachmentErrors.join(' ');
+    }
+
+    return errors;
+}
+
+// The same checks form.js makes before a file is attached, one message per problem
+function validateAttachments(files, messages) {
+    if (!Array.isArray(files)) return [];
+
+    const errors = [];
+    const maxSize = `${ATTACHMENTS.maxSize / (1024 * 1024)} MB`;
+
+    if (files.length > ATTACHMENTS.maxFiles) {
+        errors.push(fill(messages.attachCount, { max: ATTACHMENTS.maxFiles }));
+    }
+
+    files.forEach(file => {
+        const name = String(file.filename || '');
+
+        if (!ATTACHMENTS.extensions.some(extension => name.toLowerCase().endsWith(extension))) {
+            errors.push(fill(messages.attachType, { name }));
+        } else if (file.size > ATTACHMENTS.maxSize) {
+            errors.push(fill(messages.attachSize, { name, max: maxSize }));
+        }
+    });
+
+    return errors;
+}
+
+// ========================================
+// Proof-of-Work Challenge
+// ========================================
+
+const CHALLENGE_SECRET = crypto.randomBytes(32);
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const usedChallenges = new Set();
+
+function sign(payload) {
+    return crypto.createHmac('sha256', CHALLENGE_SECRET).update(payload).digest('hex');
+}
+
+// Stateless token: <expires>.<random>.<hmac>
+function issueChallenge() {
+    const payload = `${Date.now() + CHALLENGE_TTL_MS}.${crypto.randomBytes(12).toString('hex')}`;
+    return { challenge: `${payload}.${sign(payload)}`, difficulty: options.pow };
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+function verifyChallenge(challenge, nonce) {
+    if (typeof challenge !== 'string' || typeof nonce !== 'string') return false;
+
+    const parts = challenge.split('.');
+    if (parts.length !== 3) return false;
+
+    const payload = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(parts[2]);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+    if (Number(parts[0]) < Date.now() || usedChallenges.has(challenge)) return false;
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(digest) < options.pow) return false;
+
+    usedChallenges.add(challenge);
+    return true;
+}
+
+async function handleContact(req, res) {
+    const messages = messagesFor(req);
+
+    if (options.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, options.delay));
+    }
+
+    if (Math.random() < options.failRate) {
+        sendJson(res, 503, { ok: false, message: messages.unavailable });
+        return;
+    }
+
+    let data;
+    try {
+        data = parseBody(req, await readBody(req));
+    } catch (error) {
+        sendJson(res, error.status || 400, { ok: false, message: error.message });
+        return;
+    }
+
+    // Valid JSON needn't be an object of fields: null, [] and "x" parse too
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        sendJson(res, 400, { ok: false, message: messages.invalid });
+        return;
+    }
+
+    // Honeypot filled or proof-of-work missing: refuse without detail
+    const powFailed = options.pow > 0 && !verifyChallenge(data.pow_challenge, data.pow_nonce);
+    if (data.website || powFailed) {
+        sendJson(res, 400, { ok: false, message: messages.rejected });
+        return;
+    }
+
+    const errors = validateContact(data, messages);
+
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, {
+            ok: false,
+            message: messages.invalid,
+            errors
+        });
+        return;
+    }
+
+    const message = Object.assign({}, data);
+    ['website', 'pow_challenge', 'pow_nonce'].forEach(key => delete message[key]);
+    console.log(`[contact] ${new Date().toISOString()}`, JSON.stringify(message));
+
+    sendJson(res, 200, {
+        ok: true,
+        message: messages.received
+    });
+}
+
+// ========================================
+// Static Files
+// ========================================
+
+// relative is a path inside ROOT; dotfiles and dot-directories are never public
+function isPublic(relative) {
+    const segments = relative.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+
+    return segments.length === 1
+        ? PUBLIC_FILES.includes(segments[0])
+        : PUBLIC_DIRS.includes(segments[0]);
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // A malformed escape such as %E0%A4
+        res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+        res.end('Bad request');
+        return;
+    }
+
+    let filePath = path.join(ROOT, urlPath);
+
+    // Never serve anything outside the repository, including siblings such as ROOT-x/
+    const relative = path.relative(ROOT, filePath);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    if (!isPublic(path.relative(ROOT, filePath))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] });
+            res.end('Not found');
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+// ========================================
+// Server
+// ========================================
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/challenge') {
+        sendJson(res, 200, issueChallenge());
+        return;
+    }
+
+    if (pathname === '/api/contact') {
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            sendJson(res, 405, { ok: false, message: 'Method not allowed' });
+            return;
+        }
+        handleContact(req, res).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { ok: false, message: 'Internal server error' });
+        });
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    serveStatic(req, res);
+});
+
+server.listen(options.port, () => {
+    console.log(`Contact stand-in server running at http://localhost:${options.port}/en/contact.html`);
+    if (options.delay) console.log(`  delay: ${options.delay}ms`);
+    if (options.failRate) console.log(`  fail rate: ${options.failRate}`);
+});
@@ -0,0 +1,104 @@
+/**
+ * BOOKS.JS
+ * Reads the book data and turns it into schema.org Book JSON-LD and search text
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * assets/data/books.json is the one source for the books catalog: books.js
+ * renders it in the browser, build-site.js puts booksJsonLd() in the page's
+ * <head> and build-search.js indexes booksText(). Its shape is documented on
+ * the BookCatalog class in assets/js/books.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const BOOKS_PATH = path.join(ROOT, 'assets', 'data', 'books.json');
+
+function loadBooks() {
+    return JSON.parse(fs.readFileSync(BOOKS_PATH, 'utf8'));
+}
+
+// A { en, kn } value in one locale, falling back to English like the browser does
+function localized(value, locale) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    return value[locale] || value.en || '';
+}
+
+// A cover path from the data file as an absolute URL on the site
+function coverUrl(cover, siteUrl) {
+    const file = path.resolve(path.dirname(BOOKS_PATH), cover);
+    return new URL(path.relative(ROOT, file).split(path.sep).join('/'), siteUrl.replace(/\/?$/, '/')).href;
+}
+
+/**
+ * Every book as a schema.org Book in one @graph. The title in the book's own
+ * language is the name; the locale's spelling, where different, is an
+ * alternateName. siteUrl is where the site is served from (site.json "url"),
+ * since search engines read JSON-LD URLs without the page's base.
+ */
+function booksJsonLd(data, locale, siteUrl) {
+    const author = data.author ? { '@type': 'Person', name: localized(data.author.name, locale) } : undefined;
+    const themes = new Map((data.themes || []).map(theme => [theme.id, localized(theme.label, locale)]));
+
+    return {
+        '@context': 'https://schema.org',
+        '@graph': (data.books || []).map(book => {
+            const name = localized(book.title, book.language || locale);
+            const shown = localized(book.title, locale);
+            const about = (book.themes || []).map(id => themes.get(id)).filter(Boolean);
+
+            return {
+                '@type': 'Book',
+                name,
+                alternateName: shown !== name ? shown : undefined,
+                inLanguage: book.language || undefined,
+                author,
+                datePublished: book.year ? String(book.year) : undefined,
+                publisher: book.publisher
+                    ? { '@type': 'Organization', name: localized(book.publisher, locale) }
+                    : undefined,
+                isbn: book.isbn || undefined,
+                numberOfPages: book.pages || undefined,
+                image: book.cover ? coverUrl(book.cover, siteUrl) : undefined,
+                about: about.length ? about : undefined,
+                description: localized(book.synopsis, locale) || undefined
+            };
+        })
+    };
+}
+
+/**
+ * Each book's searchable text in one locale:
+ * [{ id, title, text }] with title as the catalog shows it and text the
+ * title in its own script, synopsis, publisher and themes.
+ */
+function booksText(data, locale) {
+    const themes = new Map((data.themes || []).map(theme => [theme.id, localized(theme.label, locale)]));
+
+    return (data.books || []).map(book => {
+        const title = localized(book.title, locale);
+        const original = localized(book.title, book.language || locale);
+
+        return {
+            id: book.id,
+            title,
+            text: [
+                original !== title ? original : '',
+                localized(book.synopsis, locale),
+                localized(book.publisher, locale),
+                ...(book.themes || []).map(id => themes.get(id))
+            ].filter(Boolean).join(' ')
+        };
+    });
+}
+
+module.exports = {
+    BOOKS_PATH,
+    loadBooks,
+    booksJsonLd,
+    booksText
+};
@@ -0,0 +1,82 @@
+/**
+ * CAREER.JS
+ * Reads the career data and turns it into schema.org JSON-LD and search text
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * assets/data/career.json is the one source for the journey pages: timeline.js
+ * renders the postings in the browser, build-site.js puts careerJsonLd() in the
+ * page's <head> and build-search.js indexes careerText(). Its shape is
+ * documented on the Timeline class in assets/js/timeline.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const CAREER_PATH = path.join(ROOT, 'assets', 'data', 'career.json');
+
+function loadCareer() {
+    return JSON.parse(fs.readFileSync(CAREER_PATH, 'utf8'));
+}
+
+// A { en, kn } value in one locale, falling back to English like the browser does
+function localized(value, locale) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    return value[locale] || value.en || '';
+}
+
+/**
+ * The person and their postings as schema.org Person -> OrganizationRole ->
+ * GovernmentOrganization, the role wrapping the worksFor value it describes.
+ */
+function careerJsonLd(career, locale) {
+    const person = career.person || {};
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: localized(person.name, locale),
+        honorificSuffix: localized(person.honorificSuffix, locale) || undefined,
+        jobTitle: localized(person.jobTitle, locale) || undefined,
+        worksFor: (career.postings || []).map(posting => ({
+            '@type': 'OrganizationRole',
+            roleName: localized(posting.role, locale),
+            startDate: posting.start || undefined,
+            endDate: posting.end || undefined,
+            description: localized(posting.summary, locale) || undefined,
+            worksFor: {
+                '@type': 'GovernmentOrganization',
+                name: localized(posting.organization, locale),
+                location: localized(posting.location, locale) || undefined
+            }
+        }))
+    };
+}
+
+/**
+ * Each posting's searchable text in one locale:
+ * [{ id, title, text }] with title the role and text everything else shown.
+ */
+function careerText(career, locale) {
+    return (career.postings || []).map(posting => ({
+        id: posting.id,
+        title: localized(posting.role, locale),
+        text: [
+            localized(posting.organization, locale),
+            localized(posting.location, locale),
+            localized(posting.summary, locale),
+            ...(posting.highlights || []).map(highlight => localized(highlight, locale)),
+            ...(posting.impact || []).map(metric => localized(metric.label, locale))
+        ].filter(Boolean).join(' ')
+    }));
+}
+
+module.exports = {
+    CAREER_PATH,
+    loadCareer,
+    careerJsonLd,
+    careerText
+};
@@ -0,0 +1,197 @@
+/**
+ * HTML.JS
+ * Small HTML helpers shared by the build tools (no dependencies)
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * Not a full parser: enough to read and rewrite the tags and attributes
+ * in the site's own, well-formed pages, and to walk them as a simple tree.
+ */
+
+'use strict';
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Attributes of an opening tag, in source order.
+ * "<img src='a.png' alt=\"x\" hidden>" -> Map { src => 'a.png', alt => 'x', hidden => '' }
+ */
+function parseAttributes(tag) {
+    const attributes = new Map();
+    const body = tag.replace(/^<\s*[^\s>\/]+/, '').replace(/\/?>$/, '');
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(body))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+        attributes.set(match[1].toLowerCase(), decodeEntities(value));
+    }
+
+    return attributes;
+}
+
+/**
+ * ' src="a.png" hidden' from a Map or plain object; null/undefined/false values are dropped.
+ */
+function renderAttributes(attributes) {
+    const entries = attributes instanceof Map ? Array.from(attributes) : Object.entries(attributes);
+
+    return entries
+        .filter(([, value]) => value !== null && value !== undefined && value !== false)
+        .map(([name, value]) => (value === '' || value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+        .join('');
+}
+
+// ========================================
+// Document Tree
+// ========================================
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<(\/?)([a-z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+
+/**
+ * A tree of { type: 'element', tag, attributes, children, parent, line } and
+ * { type: 'text', text, parent } nodes. Comments and the doctype are dropped;
+ * script and style bodies are kept as a single text node. Stray end tags are
+ * ignored and unclosed elements close with their parent.
+ */
+function parseDocument(html) {
+    const root = { type: 'element', tag: '#document', attributes: new Map(), children: [], parent: null, line: 1 };
+    const stack = [root];
+    let offset = 0;
+    let line = 1;
+    let match;
+
+    const countLines = (from, to) => {
+        for (let i = from; i < to; i++) {
+            if (html.charCodeAt(i) === 10) line++;
+        }
+    };
+
+    const addText = text => {
+        if (text) stack[stack.length - 1].children.push({ type: 'text', text, parent: stack[stack.length - 1] });
+    };
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(html))) {
+        addText(html.slice(offset, match.index));
+        countLines(offset, match.index);
+        offset = TOKEN_PATTERN.lastIndex;
+
+        const [token, closing, name] = match;
+        const tag = name ? name.toLowerCase() : null;
+
+        if (tag && closing) {
+            const index = stack.map(node => node.tag).lastIndexOf(tag);
+            if (index > 0) stack.length = index;
+        } else if (tag) {
+            const parent = stack[stack.length - 1];
+            const element = { type: 'element', tag, attributes: parseAttributes(token), children: [], parent, line };
+            parent.children.push(element);
+
+            if (RAW_TEXT_ELEMENTS.has(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, offset);
+                const stop = end === -1 ? html.length : end;
+                element.children.push({ type: 'text', text: html.slice(offset, stop), parent: element });
+                countLines(match.index, stop);
+                offset = TOKEN_PATTERN.lastIndex = stop;
+                continue;
+            } else if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+                stack.push(element);
+            }
+        }
+
+        countLines(match.index, offset);
+    }
+
+    addText(html.slice(offset));
+    return root;
+}
+
+/**
+ * Every element under node (not node itself) for which test(element) is true, in document order.
+ */
+function findAll(node, test) {
+    const found = [];
+    (function walk(parent) {
+        parent.children.forEach(child => {
+            if (child.type !== 'element') return;
+            if (test(child)) found.push(child);
+            walk(child);
+        });
+    })(node);
+    return found;
+}
+
+function hasClass(element, name) {
+    return (element.attributes.get('class') || '').split(/\s+/).includes(name);
+}
+
+/**
+ * Decoded text of a node with whitespace collapsed. Script and style are
+ * skipped, as is any element for which skip(element) is true.
+ */
+function textContent(node, skip) {
+    const parts = [];
+    (function walk(current) {
+        if (current.type === 'text') {
+            parts.push(current.text);
+        } else if (!RAW_TEXT_ELEMENTS.has(current.tag) && !(skip && current !== node && skip(current))) {
+            current.children.forEach(walk);
+        }
+    })(node);
+    return decodeEntities(parts.join(' ')).replace(/\s+/g, ' ').trim();
+}
+
+// A <script> block for JSON-LD, safe to drop into HTML
+function renderJsonLd(data) {
+    const json = JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+module.exports = {
+    decodeEntities,
+    escapeHtml,
+    escapeAttribute,
+    parseAttributes,
+    renderAttributes,
+    parseDocument,
+    findAll,
+    hasClass,
+    textContent,
+    renderJsonLd
+};
@@ -0,0 +1,233 @@
+/**
+ * IMAGES.JS
+ * Reads the responsive image manifest and renders <picture> markup for it
+ * Dr. M. R. Ravi, IAS Portfolio
+ *
+ * The manifest (assets/data/images.json) is written by tools/build-images.js:
+ *
+ *   {
+ *     "base": "../images/",
+ *     "images": {
+ *       "books/book-1.png": {
+ *         "width": 1024, "height": 1536,
+ *         "placeholder": "data:image/webp;base64,...",
+ *         "sources": {
+ *           "avif": [{ "src": "generated/books/book-1-480.avif", "width": 480 }, ...],
+ *           "webp": [...],
+ *           "jpeg": [...]
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Keys and variant paths are relative to assets/images/; "base" is that folder
+ * relative to the manifest itself, for scripts that fetch it (gallery.js).
+ *
+ * applyManifest() rewrites a page's <img> tags into <picture> markup; both
+ * build-images.js and build-site.js run it over en/ and kn/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseAttributes, renderAttributes } = require('./html');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const IMAGES_DIR = path.join(ROOT, 'assets', 'images');
+const MANIFEST_PATH = path.join(ROOT, 'assets', 'data', 'images.json');
+
+// Preferred first; the last format is the <img> fallback
+const FORMATS = [
+    { name: 'avif', type: 'image/avif' },
+    { name: 'webp', type: 'image/webp' },
+    { name: 'jpeg', type: 'image/jpeg' }
+];
+
+// Width of the fallback src for browsers without srcset support
+const FALLBACK_WIDTH = 960;
+
+// Layout widths of the site's images by class, for their sizes attribute.
+// A sizes attribute on the <img> itself wins; anything else is taken as 100vw.
+const SIZES_BY_CLASS = {
+    'hero-portrait': '(max-width: 992px) 300px, 380px',
+    'about-image': '(max-width: 480px) 160px, 300px',
+    'book-cover': '(max-width: 768px) 50vw, (max-width: 1024px) 33vw, 300px'
+};
+
+// Attributes the renderer owns; anything else on the source <img> is kept
+const GENERATED_ATTRIBUTES = ['src', 'srcset', 'data-src', 'data-srcset', 'width', 'height', 'decoding'];
+
+// A <picture> written by an earlier run, with its <noscript> fallback
+const PICTURE_PATTERN = /<picture class="responsive-image" data-image="([^"]+)">[\s\S]*?(<img\b[^>]*>)\s*<\/picture>(?:\s*<noscript data-image-fallback>[\s\S]*?<\/noscript>)?/g;
+const IMG_PATTERN = /<img\b[^>]*>/g;
+
+function loadManifest() {
+    if (!fs.existsSync(MANIFEST_PATH)) return null;
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+/**
+ * Attributes of an <img> as the author wrote it: drops what renderPicture
+ * adds, so re-running the build over its own output is a no-op.
+ */
+function authoredAttributes(imgTag) {
+    const attributes = parseAttributes(imgTag);
+    GENERATED_ATTRIBUTES.forEach(name => attributes.delete(name));
+
+    const classes = (attributes.get('class') || '').split(/\s+/).filter(name => name && name !== 'is-placeholder');
+    if (classes.length) {
+        attributes.set('class', classes.join(' '));
+    } else {
+        attributes.delete('class');
+    }
+
+    const style = (attributes.get('style') || '')
+        .split(';')
+        .map(rule => rule.trim())
+        .filter(rule => rule && !rule.startsWith('background-image: url(data:'))
+        .join('; ');
+    if (style) {
+        attributes.set('style', style);
+    } else {
+        attributes.delete('style');
+    }
+
+    return attributes;
+}
+
+function srcset(variants, prefix) {
+    return variants.map(variant => `${prefix}${variant.src} ${variant.width}w`).join(', ');
+}
+
+function layoutSizes(attributes) {
+    if (attributes.has('sizes')) return attributes.get('sizes');
+
+    const classes = (attributes.get('class') || '').split(/\s+/);
+    const known = classes.find(name => SIZES_BY_CLASS[name]);
+    return known ? SIZES_BY_CLASS[known] : '100vw';
+}
+
+function fallbackVariant(variants) {
+    return variants.find(variant => variant.width >= FALLBACK_WIDTH) || variants[variants.length - 1];
+}
+
+/**
+ * Markup for one image.
+ *
+ *   key         Manifest key, e.g. "books/book-1.png"
+ *   entry       The manifest entry for key
+ *   imgTag      The page's original <img ...> tag (alt, class, loading, sizes are kept)
+ *   prefix      Path from the page to assets/images/, e.g. "../assets/images/"
+ *   indent      Leading whitespace of the original tag
+ *
+ * Lazy images (loading="lazy") start on the blurred placeholder with their
+ * real sources in data-src/data-srcset, which main.js swaps in on scroll;
+ * a <noscript> copy keeps them visible without JavaScript. Other images get
+ * real sources straight away and show the placeholder as a background.
+ */
+function renderPicture(key, entry, imgTag, prefix, indent = '') {
+    const original = authoredAttributes(imgTag);
+    const lazy = original.get('loading') === 'lazy';
+    const sizes = layoutSizes(original);
+    const fallbackFormat = FORMATS[FORMATS.length - 1].name;
+    const fallback = fallbackVariant(entry.sources[fallbackFormat]);
+    const srcAttribute = lazy ? 'data-srcset' : 'srcset';
+
+    const sources = FORMATS.slice(0, -1)
+        .filter(format => entry.sources[format.name] && entry.sources[format.name].length)
+        .map(format => `    <source${renderAttributes({
+            type: format.type,
+            [srcAttribute]: srcset(entry.sources[format.name], prefix),
+            sizes
+        })}>`);
+
+    const img = new Map(original);
+    img.set('sizes', sizes);
+    img.set('width', String(entry.width));
+    img.set('height', String(entry.height));
+    img.set('decoding', 'async');
+
+    if (lazy) {
+        img.set('src', entry.placeholder);
+        img.set('data-src', prefix + fallback.src);
+        img.set('data-srcset', srcset(entry.sources[fallbackFormat], prefix));
+        img.set('class', [original.get('class'), 'is-placeholder'].filter(Boolean).join(' '));
+    } else {
+        img.set('src', prefix + fallback.src);
+        img.set('srcset', srcset(entry.sources[fallbackFormat], prefix));
+        img.set('style', [original.get('style'), `background-image: url(${entry.placeholder})`].filter(Boolean).join('; '));
+    }
+
+    const lines = [
+        `<picture class="responsive-image" data-image="${key}">`,
+        ...sources,
+        `    <img${renderAttributes(img)}>`,
+        '</picture>'
+    ];
+
+    if (lazy) {
+        const noscript = new Map(original);
+        noscript.set('src', prefix + fallback.src);
+        lines.push(`<noscript data-image-fallback><img${renderAttributes(noscript)}></noscript>`);
+    }
+
+    // The first line takes the place of the original tag, which keeps its own indent
+    return lines.map((line, index) => (index === 0 ? line : indent + line)).join('\n');
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+function indentAt(html, offset) {
+    const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+    return html.slice(lineStart, offset).match(/^[ \t]*/)[0];
+}
+
+function authoredSrc(imgTag) {
+    const match = imgTag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Rewrites the page markup in html so every <img> pointing at a manifest
+ * image becomes responsive. pageDir is the page's folder on disk, used to
+ * resolve relative src paths. Returns { html, count }.
+ */
+function applyManifest(html, pageDir, manifest) {
+    const prefix = toPosix(path.relative(pageDir, IMAGES_DIR)) + '/';
+
+    // Back to plain <img> tags first, so removed or renamed images fall back cleanly
+    let result = html.replace(PICTURE_PATTERN, (match, key, imgTag) => {
+        const attributes = authoredAttributes(imgTag);
+        return `<img${renderAttributes(new Map([['src', prefix + key], ...attributes]))}>`;
+    });
+
+    let count = 0;
+    result = result.replace(IMG_PATTERN, (imgTag, offset) => {
+        const src = authoredSrc(imgTag);
+        if (!src || /^(?:[a-z]+:|\/\/)/i.test(src)) return imgTag;
+
+        const key = toPosix(path.relative(IMAGES_DIR, path.resolve(pageDir, src)));
+        const entry = manifest.images[key];
+        if (!entry || key.startsWith('..')) return imgTag;
+
+        count++;
+        return renderPicture(key, entry, imgTag, prefix, indentAt(result, offset));
+    });
+
+    return { html: result, count };
+}
+
+module.exports = {
+    ROOT,
+    IMAGES_DIR,
+    MANIFEST_PATH,
+    FORMATS,
+    toPosix,
+    loadManifest,
+    authoredAttributes,
+    renderPicture,
+    applyManifest
+};